@@ -0,0 +1,279 @@
+// Command-line mode: run one ozon.js operation and print the result, for shell scripts and cron
+// jobs that have no MCP client. `ozon-mcp-server search "<query>" --sort price --limit 50`.
+//
+//  - one subcommand per operation; the positional argument is the query / product / category
+//  - options are the tool inputs in kebab-case (--price-min, --with-photos); --fields projects
+//    the result with the same dot paths as the tools' `fields`
+//  - --format json (default), jsonl (one row per line) or csv (one row per line, nested fields
+//    flattened to dotted columns); rows are the result's main list, or the result itself
+//  - --batch reads inputs (SKUs, queries) from stdin, one per line, and runs them in one
+//    process — one browser, one passed challenge, one response cache for the whole batch
+//  - stdout carries only the data; logs and per-input errors go to stderr
+//  - exit code 0 = all ok, 1 = some input failed, 2 = usage error
+
+import { parseArgs } from "util";
+import { search, suggest, category, seller, details, offers, reviews, questions } from "./ozon.js";
+import { project } from "./output.js";
+
+const log = (...a) => console.error("[cli]", ...a);
+const BATCH_CONCURRENCY = 3; // inputs in flight at once; the browser scheduler paces the requests
+
+// Option types: string, number, boolean, numbers ("1,2" -> [1, 2]), filters (repeatable key=v1,v2),
+// or the list of allowed values; TRUE_FALSE turns into a boolean that can be set either way
+const TRUE_FALSE = ["true", "false"];
+const LISTING = {
+  sort: ["popular", "price", "price_desc", "rating", "new", "discount"],
+  "price-min": "number",
+  "price-max": "number",
+  filter: "filters",
+  "min-rating": "number",
+  "original-only": "boolean",
+  "sold-by": ["ozon", "marketplace"],
+  "cross-border": TRUE_FALSE,
+  label: "string",
+  "delivery-within-days": "number",
+  "with-facets": "boolean",
+  limit: "number",
+  page: "number",
+  cursor: "string",
+  region: "string",
+};
+
+/** command -> the operation, its positional argument, the list its rows come from, its options */
+const COMMANDS = {
+  search: { run: search, arg: "query", rows: "items", options: LISTING },
+  suggest: { run: suggest, arg: "query", rows: "queries", options: { limit: "number" } },
+  category: { run: category, arg: "category", rows: "items", options: LISTING },
+  seller: { run: seller, arg: "seller", rows: "items", options: LISTING },
+  details: {
+    run: details,
+    arg: "product",
+    rows: null,
+    options: { variant: "string", "with-recommendations": "boolean", region: "string" },
+  },
+  offers: { run: offers, arg: "product", rows: "offers", options: { limit: "number", region: "string" } },
+  reviews: {
+    run: reviews,
+    arg: "product",
+    rows: "reviews",
+    options: {
+      limit: "number",
+      sort: ["newest", "score_desc", "score_asc"],
+      scores: "numbers",
+      "with-photos": "boolean",
+      "purchased-only": "boolean",
+      cursor: "string",
+    },
+  },
+  questions: { run: questions, arg: "product", rows: "questions", options: { limit: "number", cursor: "string" } },
+};
+
+const FORMATS = ["json", "jsonl", "csv"];
+const COMMON = { fresh: "boolean", fields: "string", format: FORMATS, batch: "boolean", help: "boolean" };
+
+const USAGE = `Usage: ozon-mcp-server <command> <argument> [options]
+       ozon-mcp-server <command> --batch [options] < inputs.txt
+       ozon-mcp-server [--http [port]]        (no command: the MCP server)
+
+Commands:
+  search <query>        category <id|url>     seller <id|url>      suggest <query>
+  details <sku|url>     offers <sku|url>      reviews <sku|url>    questions <sku|url>
+
+Listing options (search, category, seller):
+  --sort popular|price|price_desc|rating|new|discount   --price-min N   --price-max N
+  --filter key=v1,v2 (repeatable)   --min-rating N   --with-facets   --limit N   --page N   --cursor C
+  --original-only   --sold-by ozon|marketplace   --cross-border true|false   --label "Распродажа"
+  --delivery-within-days N
+Other options:
+  details: --variant "256 ГБ, черный" --with-recommendations     offers: --limit N
+  reviews: --limit N --sort newest|score_desc|score_asc --scores 1,2 --with-photos --purchased-only
+  questions: --limit N     suggest: --limit N     --region <city|lat,lon> where prices depend on it
+Output:
+  --format json|jsonl|csv (default json)   --fields items.sku,items.price   --fresh (skip the cache)
+  --batch   read one input per line from stdin (# comments and blank lines skipped)
+`;
+
+/** A command line is a CLI call when its first word is not a flag (the MCP server takes only flags). */
+export function isCliCall(argv) {
+  return argv.length > 0 && !String(argv[0]).startsWith("-");
+}
+
+class UsageError extends Error {}
+
+const camel = (name) => name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+
+function toNumber(name, v) {
+  const n = Number(v);
+  if (v === "" || !Number.isFinite(n)) throw new UsageError(`--${name} must be a number, got "${v}"`);
+  return n;
+}
+
+/** ["brand=26303000,1234", "brandcertified"] -> { brand: ["26303000", "1234"], brandcertified: true } */
+function toFilters(list) {
+  const filters = {};
+  for (const f of list) {
+    const [key, values] = f.split(/=(.*)/s);
+    filters[key] = values == null ? true : key === "category" ? values : values.split(",");
+  }
+  return filters;
+}
+
+/** argv -> { name, command, input, args, format, fields, batch } or a UsageError */
+export function parseCommand(argv) {
+  const [name, ...rest] = argv;
+  if (name === "help") return { name: "help" };
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`unknown command "${name}"`);
+  const types = { ...command.options, ...COMMON };
+  const options = {};
+  for (const [k, t] of Object.entries(types)) {
+    options[k] = { type: t === "boolean" ? "boolean" : "string", multiple: t === "filters" };
+  }
+  options.help.short = "h";
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(`${name}: ${err.message}`);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { name: "help" };
+
+  const args = {};
+  for (const [k, v] of Object.entries(values)) {
+    const t = types[k];
+    if (Array.isArray(t) && !t.includes(v)) throw new UsageError(`--${k} must be one of ${t.join(", ")}`);
+    if (k in COMMON) continue;
+    if (t === "number") args[camel(k)] = toNumber(k, v);
+    else if (t === TRUE_FALSE) args[camel(k)] = v === "true";
+    else if (t === "numbers") args[camel(k)] = v.split(",").map((x) => toNumber(k, x.trim()));
+    else if (t === "filters") args.filters = toFilters(v);
+    else args[camel(k)] = v;
+  }
+  if (values.fresh) args.fresh = true;
+
+  const format = values.format || "json";
+  const batch = !!values.batch;
+  if (batch ? positionals.length : positionals.length !== 1) {
+    throw new UsageError(
+      batch ? `${name} --batch reads its inputs from stdin` : `${name} takes exactly one <${command.arg}>`
+    );
+  }
+  const fields = values.fields ? values.fields.split(",").map((f) => f.trim()).filter(Boolean) : null;
+  return { name, command, input: positionals[0], args, format, fields, batch };
+}
+
+// ── output ──────────────────────────────────────────────────────────────────────
+
+/** { seller: { name, rating } } -> { "seller.name", "seller.rating" }; lists stay whole */
+function flatten(value, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(value)) {
+    if (v && typeof v === "object" && !Array.isArray(v)) flatten(v, `${prefix}${k}.`, out);
+    else out[prefix + k] = v;
+  }
+  return out;
+}
+
+/** A CSV cell: lists of plain values joined with "; ", other objects as JSON, quoted when needed. */
+function csvCell(v) {
+  if (v == null) return "";
+  let s;
+  if (Array.isArray(v) && v.every((x) => x == null || typeof x !== "object")) s = v.join("; ");
+  else s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Rows -> CSV text with a header of every column seen, in first-seen order. */
+export function toCsv(rows) {
+  const flat = rows.map((r) => flatten(r));
+  const columns = [...new Set(flat.flatMap((r) => Object.keys(r)))];
+  const lines = [columns.map(csvCell).join(","), ...flat.map((r) => columns.map((c) => csvCell(r[c])).join(","))];
+  return lines.join("\n") + "\n";
+}
+
+/** The rows of a result: its main list (plain values become { value }), or the result itself. */
+export function rowsOf(result, key) {
+  if (!key || !Array.isArray(result?.[key])) return [result];
+  return result[key].map((r) => (r && typeof r === "object" ? r : { value: r }));
+}
+
+/** Write to stdout and wait for it to be flushed, so a pipe gets everything before exit. */
+const write = (text) => new Promise((resolve) => process.stdout.write(text, resolve));
+
+// ── run ─────────────────────────────────────────────────────────────────────────
+
+/** stdin -> inputs: one per line, blank lines and # comments skipped */
+async function readInputs(stream) {
+  let text = "";
+  for await (const chunk of stream) text += chunk;
+  return text
+    .split(/\r?\n/)
+    .map((l) => l.replace(/#.*/, "").trim())
+    .filter(Boolean);
+}
+
+async function runOne({ command, args, fields }, input) {
+  return project(await command.run({ ...args, [command.arg]: input }), fields);
+}
+
+/**
+ * Run a command line and print its result; resolves to the exit code. Inputs of a batch run
+ * BATCH_CONCURRENCY at a time and are printed in input order, each row tagged with its `input`;
+ * an input that fails is reported on stderr and the batch goes on.
+ */
+export async function runCli(argv, { stdin = process.stdin } = {}) {
+  let cmd;
+  try {
+    cmd = parseCommand(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (cmd.name === "help") {
+    await write(USAGE);
+    return 0;
+  }
+
+  if (!cmd.batch) {
+    let result;
+    try {
+      result = await runOne(cmd, cmd.input);
+    } catch (err) {
+      console.error(`Error: ${err?.message || String(err)}`);
+      return 1;
+    }
+    const rows = rowsOf(result, cmd.command.rows);
+    if (cmd.format === "json") await write(JSON.stringify(result, null, 2) + "\n");
+    else if (cmd.format === "jsonl") await write(rows.map((r) => JSON.stringify(r) + "\n").join(""));
+    else await write(toCsv(rows));
+    return 0;
+  }
+
+  const inputs = await readInputs(stdin);
+  log(`${cmd.name}: ${inputs.length} inputs from stdin`);
+  const results = []; // json: whole results; csv: rows — both printed at the end
+  let failed = 0;
+  for (let i = 0; i < inputs.length; i += BATCH_CONCURRENCY) {
+    const chunk = inputs.slice(i, i + BATCH_CONCURRENCY);
+    const settled = await Promise.allSettled(chunk.map((input) => runOne(cmd, input)));
+    let lines = "";
+    settled.forEach((r, j) => {
+      const input = chunk[j];
+      if (r.status === "rejected") {
+        failed++;
+        log(`${input}: ${r.reason?.message || String(r.reason)}`);
+        return;
+      }
+      if (cmd.format === "json") return results.push({ input, ...r.value });
+      const rows = rowsOf(r.value, cmd.command.rows).map((row) => ({ input, ...row }));
+      if (cmd.format === "csv") results.push(...rows);
+      else lines += rows.map((row) => JSON.stringify(row) + "\n").join("");
+    });
+    if (lines) await write(lines); // jsonl streams as the batch goes
+  }
+  if (cmd.format === "json") await write(JSON.stringify(results, null, 2) + "\n");
+  if (cmd.format === "csv" && results.length) await write(toCsv(results));
+  log(`${cmd.name}: ${inputs.length - failed} ok, ${failed} failed`);
+  return failed ? 1 : 0;
+}
@@ -0,0 +1,200 @@
+// Optional local price history: every product seen by search/details is appended as one JSON
+// line to the file named by OZON_PRICE_HISTORY, plus a small JSON watchlist next to it.
+// Disabled (every call a no-op / a clear error) when the env var is unset.
+//
+//  - append-only JSONL: one observation per line, never rewritten — safe to tail/grep/ship
+//  - the watchlist lives in "<name>.watchlist.json" beside the history file
+//  - writes are serialized through one promise chain so concurrent tool calls don't interleave
+//  - recording never fails a tool call: errors are logged to stderr and dropped
+
+import { appendFile, readFile, writeFile, mkdir, rename, open } from "fs/promises";
+import { dirname } from "path";
+
+const FILE = process.env.OZON_PRICE_HISTORY || null;
+const WATCHLIST = FILE ? FILE.replace(/(\.jsonl?)?$/, ".watchlist.json") : null;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOW_WINDOW_DAYS = 30;
+
+const log = (...a) => console.error("[history]", ...a);
+
+let queue = Promise.resolve();
+function serialized(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function requireStore() {
+  if (!FILE) throw new Error("price history is disabled — set OZON_PRICE_HISTORY to a .jsonl file path");
+}
+
+/** "\n" if the file ends mid-line (a write torn by a crash), so the next line starts clean */
+async function tailFix() {
+  let fh;
+  try {
+    fh = await open(FILE, "r");
+    const { size } = await fh.stat();
+    if (!size) return "";
+    const { buffer } = await fh.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] === 0x0a ? "" : "\n";
+  } catch (err) {
+    if (err?.code === "ENOENT") return "";
+    throw err;
+  } finally {
+    await fh?.close();
+  }
+}
+
+/**
+ * Append observations: [{ sku, name, price, cardPrice, oldPrice, available, source }].
+ * `price` is the regular price, `cardPrice` the Ozon Card price when the page shows both.
+ */
+export function recordPrices(rows) {
+  if (!FILE) return Promise.resolve();
+  const ts = new Date().toISOString();
+  const lines = rows
+    .filter((r) => r?.sku && (r.price || r.cardPrice))
+    .map((r) =>
+      JSON.stringify({
+        ts,
+        sku: String(r.sku),
+        name: r.name ?? null,
+        price: r.price ?? null,
+        cardPrice: r.cardPrice ?? null,
+        oldPrice: r.oldPrice ?? null,
+        available: r.available ?? null,
+        source: r.source ?? null,
+      })
+    );
+  if (!lines.length) return Promise.resolve();
+  return serialized(async () => {
+    await mkdir(dirname(FILE), { recursive: true });
+    await appendFile(FILE, (await tailFix()) + lines.join("\n") + "\n");
+  }).catch((err) => log("record failed:", err?.message));
+}
+
+async function readRows(skus) {
+  let text = "";
+  try {
+    text = await readFile(FILE, "utf8");
+  } catch (err) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
+  }
+  const want = skus ? new Set(skus.map(String)) : null;
+  const rows = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      const r = JSON.parse(line);
+      if (!want || want.has(r.sku)) rows.push(r);
+    } catch {} // a torn last line after a crash — skip it
+  }
+  return rows;
+}
+
+/** the price a buyer pays: card price when known, else the regular one */
+const paid = (r) => r.cardPrice ?? r.price;
+
+const pct = (from, to) => (from > 0 ? Math.round(((from - to) / from) * 1000) / 10 : null);
+
+/**
+ * Stats over one SKU's observations (oldest first). `realDiscount` compares the current price
+ * with the lowest price of the preceding 30 days; `claimedDiscount` is what the crossed-out
+ * `oldPrice` suggests. A big claimed discount with no real one is a fake markdown.
+ */
+export function summarize(rows, now = Date.now()) {
+  const seen = rows.filter((r) => paid(r) != null);
+  if (!seen.length) return null;
+  const last = seen.at(-1);
+  const current = paid(last);
+  let min = seen[0];
+  let max = seen[0];
+  for (const r of seen) {
+    if (paid(r) < paid(min)) min = r;
+    if (paid(r) > paid(max)) max = r;
+  }
+  const since = now - LOW_WINDOW_DAYS * DAY_MS;
+  const before = seen.filter((r) => r !== last && Date.parse(r.ts) >= since);
+  const low30 = before.length ? Math.min(...before.map(paid)) : null;
+  const claimedDiscount = last.oldPrice > current ? pct(last.oldPrice, current) : null;
+  const realDiscount = low30 != null ? pct(low30, current) : null;
+  return {
+    sku: last.sku,
+    name: [...seen].reverse().find((r) => r.name)?.name || null,
+    observations: seen.length,
+    firstSeen: seen[0].ts,
+    lastSeen: last.ts,
+    current: { price: current, oldPrice: last.oldPrice, available: last.available, ts: last.ts },
+    min: { price: paid(min), ts: min.ts },
+    max: { price: paid(max), ts: max.ts },
+    low30,
+    claimedDiscount,
+    realDiscount,
+    fakeMarkdown: claimedDiscount != null && claimedDiscount >= 10 && realDiscount != null && realDiscount <= 0,
+  };
+}
+
+/** History of the given SKUs over the last `days` days: stats plus the raw points. */
+export async function historyOf(skus, { days = 90, points = true } = {}) {
+  requireStore();
+  const since = Date.now() - days * DAY_MS;
+  const rows = await readRows(skus);
+  return skus.map((sku) => {
+    const own = rows.filter((r) => r.sku === String(sku));
+    const inWindow = own.filter((r) => Date.parse(r.ts) >= since);
+    const out = { sku: String(sku), ...(summarize(own) || { observations: 0 }) };
+    if (points) {
+      out.points = inWindow.map((r) => ({ ts: r.ts, price: paid(r), oldPrice: r.oldPrice, available: r.available }));
+    }
+    return out;
+  });
+}
+
+async function readWatchlist() {
+  try {
+    const data = JSON.parse(await readFile(WATCHLIST, "utf8"));
+    return Array.isArray(data?.items) ? data.items : [];
+  } catch (err) {
+    if (err?.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeWatchlist(items) {
+  await mkdir(dirname(WATCHLIST), { recursive: true });
+  const tmp = `${WATCHLIST}.tmp`;
+  await writeFile(tmp, JSON.stringify({ items }, null, 2));
+  await rename(tmp, WATCHLIST); // atomic replace: a crash never leaves half a file
+}
+
+export function getWatchlist() {
+  requireStore();
+  return readWatchlist();
+}
+
+/** Add SKUs (idempotent); returns the whole watchlist. */
+export function watchAdd(skus) {
+  requireStore();
+  return serialized(async () => {
+    const items = await readWatchlist();
+    const have = new Set(items.map((i) => i.sku));
+    for (const sku of skus.map(String)) {
+      if (!have.has(sku)) items.push({ sku, addedAt: new Date().toISOString() });
+      have.add(sku);
+    }
+    await writeWatchlist(items);
+    return items;
+  });
+}
+
+/** Remove SKUs; returns the whole watchlist. */
+export function watchRemove(skus) {
+  requireStore();
+  const drop = new Set(skus.map(String));
+  return serialized(async () => {
+    const items = (await readWatchlist()).filter((i) => !drop.has(i.sku));
+    await writeWatchlist(items);
+    return items;
+  });
+}
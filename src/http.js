@@ -0,0 +1,141 @@
+// Streamable HTTP mode: one process, one browser, many MCP clients. Each client session gets its
+// own McpServer + transport (an McpServer serves exactly one transport); all of them call into
+// the same ozon.js → browser.js, so the Chromium and the response cache are shared.
+//
+//  - POST/GET/DELETE /mcp — the MCP endpoint; a POST with `initialize` and no session id opens a session
+//  - GET /health — liveness + session count + browser state, never requires auth
+//  - optional bearer token (OZON_HTTP_TOKEN) on /mcp
+//  - a client leaving (DELETE, idle expiry) only drops its session; the browser keeps running
+
+import { createServer as createHttpServer } from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { status as browserStatus } from "./browser.js";
+
+const MCP_PATH = "/mcp";
+const MAX_BODY_BYTES = 1024 * 1024;
+const SESSION_IDLE_MS = 30 * 60 * 1000; // forget sessions of clients that vanished without DELETE
+
+const log = (...a) => console.error("[http]", ...a);
+
+function sendJson(res, code, body, headers = {}) {
+  res.writeHead(code, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/** JSON-RPC error response for requests rejected before they reach a transport. */
+const rpcError = (res, code, message, headers) =>
+  sendJson(res, code, { jsonrpc: "2.0", error: { code: -32000, message }, id: null }, headers);
+
+function authorized(req, token) {
+  if (!token) return true;
+  const got = Buffer.from(String(req.headers.authorization || ""));
+  const want = Buffer.from(`Bearer ${token}`);
+  return got.length === want.length && timingSafeEqual(got, want);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new Error("request body too large");
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  return text ? JSON.parse(text) : undefined;
+}
+
+/**
+ * Serve MCP over Streamable HTTP. `createServer()` must return a fresh, fully registered McpServer.
+ * Resolves once listening; the returned `close()` ends every session and stops the listener.
+ */
+export async function serveHttp(createServer, { port, host, token }) {
+  const sessions = new Map(); // session id -> { transport, server, seen }
+  const started = Date.now();
+
+  async function open() {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server, seen: Date.now() });
+        log(`session ${id} opened (${sessions.size} active)`);
+      },
+    });
+    transport.onclose = () => {
+      const id = transport.sessionId;
+      if (id && sessions.delete(id)) log(`session ${id} closed (${sessions.size} active)`);
+    };
+    await server.connect(transport);
+    return transport;
+  }
+
+  async function handleMcp(req, res) {
+    if (!authorized(req, token)) {
+      return rpcError(res, 401, "Unauthorized", { "www-authenticate": 'Bearer realm="ozon-mcp"' });
+    }
+    let body;
+    if (req.method === "POST") {
+      try {
+        body = await readBody(req);
+      } catch (err) {
+        return rpcError(res, 400, `Bad request: ${err?.message}`);
+      }
+    }
+    const id = req.headers["mcp-session-id"];
+    const session = id && sessions.get(id);
+    if (session) {
+      session.seen = Date.now();
+      return session.transport.handleRequest(req, res, body);
+    }
+    if (!id && req.method === "POST" && isInitializeRequest(body)) {
+      return (await open()).handleRequest(req, res, body);
+    }
+    return rpcError(res, id ? 404 : 400, id ? "Session not found" : "No session: send initialize first");
+  }
+
+  const http = createHttpServer((req, res) => {
+    const path = (req.url || "/").split("?")[0];
+    if (path === "/health" && req.method === "GET") {
+      return sendJson(res, 200, {
+        status: "ok",
+        uptimeSec: Math.round((Date.now() - started) / 1000),
+        sessions: sessions.size,
+        browser: browserStatus(),
+      });
+    }
+    if (path !== MCP_PATH) return sendJson(res, 404, { error: "not found" });
+    handleMcp(req, res).catch((err) => {
+      log("request failed:", err?.message);
+      if (!res.headersSent) rpcError(res, 500, "Internal server error");
+    });
+  });
+
+  const sweeper = setInterval(() => {
+    for (const [id, s] of sessions) {
+      if (Date.now() - s.seen > SESSION_IDLE_MS) {
+        log(`session ${id} idle — closing`);
+        s.transport.close().catch(() => {});
+      }
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  await new Promise((resolve, reject) => {
+    http.once("error", reject);
+    http.listen(port, host, resolve);
+  });
+  log(`listening on http://${host}:${http.address().port}${MCP_PATH}${token ? " (bearer auth)" : ""}`);
+
+  return {
+    port: http.address().port,
+    async close() {
+      clearInterval(sweeper);
+      await Promise.all([...sessions.values()].map((s) => s.transport.close().catch(() => {})));
+      http.closeAllConnections?.(); // SSE streams would otherwise keep close() waiting
+      await new Promise((resolve) => http.close(() => resolve()));
+    },
+  };
+}
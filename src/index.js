@@ -1,16 +1,52 @@
 #!/usr/bin/env node
-// Ozon MCP server (stdio). Three tools: ozon_search, ozon_product_details, ozon_product_reviews.
+// Ozon MCP server (stdio, or Streamable HTTP with --http). Tools: ozon_search, ozon_suggest,
+// ozon_category, ozon_seller, ozon_product_details, ozon_product_offers, ozon_compare_products,
+// ozon_product_reviews, ozon_product_questions, ozon_price_history, ozon_watchlist, ozon_debug.
+// Resources: ozon://product/{sku}, ozon://product/{sku}/reviews, ozon://search/{query}.
+// Prompts: best_value, vet_product, compare_shortlist.
+// With a command (`ozon-mcp-server search "<query>" --limit 50`) it runs once and prints the result
+// instead (src/cli.js).
 // CRITICAL: stdout is the JSON-RPC wire — never write to it. All logs go to stderr.
 
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { z } from "zod";
-import { search, details, reviews } from "./ozon.js";
+import {
+  search,
+  suggest,
+  category,
+  seller,
+  details,
+  offers,
+  compare,
+  reviews,
+  questions,
+  priceHistory,
+  watchlist,
+  debug,
+} from "./ozon.js";
 import { shutdown } from "./browser.js";
+import { project, fit, CURSORS } from "./output.js";
+import {
+  searchOutput,
+  suggestOutput,
+  categoryOutput,
+  sellerOutput,
+  detailsOutput,
+  offersOutput,
+  compareOutput,
+  reviewsOutput,
+  questionsOutput,
+  priceHistoryOutput,
+  watchlistOutput,
+  debugOutput,
+} from "./schemas.js";
+import { serveHttp } from "./http.js";
+import { isCliCall, runCli } from "./cli.js";
 
 const log = (...a) => console.error("[ozon-mcp]", ...a);
 const TOOL_TIMEOUT_MS = 55000; // stay under typical MCP client timeout (~60s)
-const MAX_TEXT = 60000; // cap JSON-RPC payload size
+const MAX_TEXT = 60000; // cap JSON-RPC payload size; results are trimmed to fit, never cut mid-JSON
 
 function withTimeout(promise, ms, label) {
   return Promise.race([
@@ -21,14 +57,18 @@ function withTimeout(promise, ms, label) {
   ]);
 }
 
-/** Wrap a tool body: run with timeout, serialize result, convert any failure to isError. */
+/**
+ * Wrap a tool body: run with timeout, apply the `fields` projection, trim to MAX_TEXT, and return
+ * the result both as structured content and as JSON text; convert any failure to isError.
+ */
 function tool(label, fn) {
-  return async (args) => {
+  return async ({ fields, ...args }) => {
     try {
-      const result = await withTimeout(fn(args), TOOL_TIMEOUT_MS, label);
-      let text = JSON.stringify(result, null, 2);
-      if (text.length > MAX_TEXT) text = text.slice(0, MAX_TEXT) + "\n…(truncated)";
-      return { content: [{ type: "text", text }] };
+      const raw = await withTimeout(fn(args), TOOL_TIMEOUT_MS, label);
+      const { result, text } = fit(project(raw, fields), MAX_TEXT);
+      if (result.truncated) log(`${label} trimmed:`, JSON.stringify(result.truncated));
+      delete result[CURSORS]; // only fit() reads them; the SDK's record check rejects a symbol key
+      return { content: [{ type: "text", text }], structuredContent: result };
     } catch (err) {
       log(`${label} error:`, err?.message);
       return {
@@ -39,76 +79,566 @@ function tool(label, fn) {
   };
 }
 
-const server = new McpServer({ name: "ozon-mcp-server", version: "0.0.1" });
-
-server.registerTool(
-  "ozon_search",
-  {
-    title: "Search Ozon products",
-    description:
-      "Search products on the Ozon marketplace (ozon.ru). Returns a list of products with name, " +
-      "price (RUB, numeric), old price, discount, rating, review count, brand, image and a clean " +
-      "product URL. Use this to find products and compare prices, then hand the URLs to the user.",
-    inputSchema: {
-      query: z.string().min(1).describe('Search query, e.g. "iphone 15", "плед 150х200", "носки мужские"'),
-      sort: z
-        .enum(["popular", "price", "price_desc", "rating", "new", "discount"])
-        .default("popular")
-        .describe("Sort order: popular (default), price (cheap→expensive), price_desc, rating, new, discount"),
-      priceMin: z.number().int().nonnegative().optional().describe("Minimum price in RUB"),
-      priceMax: z.number().int().nonnegative().optional().describe("Maximum price in RUB"),
-      limit: z.number().int().min(1).max(36).default(12).describe("Max number of results (1–36, default 12)"),
-    },
-    annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
-  },
-  tool("ozon_search", search)
-);
-
-server.registerTool(
-  "ozon_product_details",
-  {
-    title: "Get Ozon product details",
-    description:
-      "Get full details for one Ozon product: name, price (card/regular/old), availability, product " +
-      "rating, seller (name + rating), images, key characteristics, and the product description " +
-      "(text and/or banner image URLs). Accepts an SKU, a full product URL, or a slug.",
-    inputSchema: {
-      product: z
-        .string()
-        .min(1)
-        .describe('Product SKU (e.g. "1185261285"), full ozon.ru product URL, or product slug'),
-    },
-    annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
-  },
-  tool("ozon_product_details", details)
-);
-
-server.registerTool(
-  "ozon_product_reviews",
-  {
-    title: "Get Ozon product reviews",
-    description:
-      "Read real customer reviews for an Ozon product: author, score (1–5), comment, pros, cons, " +
-      "date, usefulness, whether the item was purchased, and whether photos are attached. " +
-      "Accepts an SKU, a full product URL, or a slug.",
-    inputSchema: {
-      product: z
-        .string()
-        .min(1)
-        .describe('Product SKU (e.g. "1185261285"), full ozon.ru product URL, or product slug'),
-      limit: z.number().int().min(1).max(30).default(10).describe("Max number of reviews (1–30, default 10)"),
-    },
-    annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
-  },
-  tool("ozon_product_reviews", reviews)
-);
+/** Wrap a resource read: same timeout and size trimming as tools; failures become JSON-RPC errors. */
+function resource(label, fn) {
+  return async (uri, vars) => {
+    const { text } = fit(await withTimeout(fn(vars), TOOL_TIMEOUT_MS, label), MAX_TEXT);
+    return { contents: [{ uri: uri.href, mimeType: "application/json", text }] };
+  };
+}
+
+// Every tool takes an optional projection; `tool()` applies it to the result.
+const fieldsInput = {
+  fields: z
+    .array(z.string().min(1))
+    .optional()
+    .describe(
+      'Return only these fields: dot paths, lists are walked through, e.g. ["count", "items.sku", ' +
+        '"items.price"]. `nextCursor` and `layoutWarnings` are always kept. Omit for the full result'
+    ),
+};
+
+// Every tool that reads Ozon is served from a short-lived response cache unless asked not to.
+const freshInput = {
+  fresh: z.boolean().default(false).describe("Bypass the response cache and read live data from Ozon"),
+};
+
+// Prices, stock and delivery depend on the delivery region; the server default is OZON_REGION.
+const regionInput = {
+  region: z
+    .string()
+    .optional()
+    .describe(
+      'Delivery region for this call: a large Russian city ("Новосибирск", "Казань") or "lat,lon" ' +
+        '(e.g. "55.03,82.92"). Omit for the server default'
+    ),
+};
+
+// Listing options shared by ozon_search, ozon_category and ozon_seller (all read the same product grid).
+const listingInput = {
+  sort: z
+    .enum(["popular", "price", "price_desc", "rating", "new", "discount"])
+    .default("popular")
+    .describe("Sort order: popular (default), price (cheap→expensive), price_desc, rating, new, discount"),
+  priceMin: z.number().int().nonnegative().optional().describe("Minimum price in RUB"),
+  priceMax: z.number().int().nonnegative().optional().describe("Maximum price in RUB"),
+  filters: z
+    .record(z.union([z.string(), z.array(z.string()), z.boolean()]))
+    .optional()
+    .describe(
+      'Facet filters from `facets`: facet key -> value key(s), e.g. {"brand": ["26303000"], ' +
+        '"brandcertified": true, "delivery": "2", "category": "/category/smartfony-15502/"}'
+    ),
+  minRating: z.number().min(0).max(5).optional().describe("Drop items rated below this (e.g. 4.5)"),
+  originalOnly: z.boolean().default(false).describe('Only items labelled "Оригинал" (`original`)'),
+  soldBy: z
+    .enum(["ozon", "marketplace"])
+    .optional()
+    .describe("Only items sold by Ozon itself, or only by marketplace sellers (`sellerType`)"),
+  crossBorder: z
+    .boolean()
+    .optional()
+    .describe("true: only cross-border items (shipped from abroad); false: leave them out (`crossBorder`)"),
+  label: z
+    .string()
+    .optional()
+    .describe('Only items with a label containing this text, e.g. "Распродажа", "Уценённый" (`labels`)'),
+  deliveryWithinDays: z
+    .number()
+    .int()
+    .min(0)
+    .max(60)
+    .optional()
+    .describe("Only items whose delivery promise is at most this many days away (0 = today / express)"),
+  withFacets: z.boolean().default(false).describe("Also return the available filters (`facets`) for this listing"),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(300)
+    .default(12)
+    .describe("Max number of results (1–300, default 12); more than one page is fetched when needed"),
+  page: z.number().int().min(1).optional().describe("Start from this 1-based results page (default 1)"),
+  cursor: z
+    .string()
+    .optional()
+    .describe("`nextCursor` from a previous call; continues that listing (other options are ignored)"),
+  ...regionInput,
+  ...freshInput,
+  ...fieldsInput,
+};
+
+/** A fresh McpServer with every tool registered: one per process on stdio, one per session over HTTP. */
+function createServer() {
+  const server = new McpServer({ name: "ozon-mcp-server", version: "0.0.1" });
+
+  server.registerTool(
+    "ozon_search",
+    {
+      title: "Search Ozon products",
+      description:
+        "Search products on the Ozon marketplace (ozon.ru). Returns a list of products with name, " +
+        "price (RUB, numeric), old price, discount, rating, review count, brand, image and a clean " +
+        "product URL, plus what the tile shows: `labels` (\"Оригинал\", \"Распродажа\", stock left), " +
+        "`original`, the `delivery` promise (and `expressDelivery`), `sellerType` (ozon / marketplace, " +
+        "null when unknown), `crossBorder`, `fresh` and `ozonPremium`; originalOnly, soldBy, " +
+        "crossBorder, label and deliveryWithinDays filter on them. Use this to find products and " +
+        "compare prices, then hand the URLs to the user. " +
+        "Results are collected across pages up to `limit`; pass the returned `nextCursor` as `cursor` " +
+        "to continue with the following page. Set `withFacets` to get the filters Ozon offers for the " +
+        "query (brand, seller, delivery speed, original only, category, model, color, …) with their " +
+        "values, then pass the chosen value keys back in `filters` to narrow the search. Also tells " +
+        "how Ozon read the query: `didYouMean` (the corrected query it searched instead), " +
+        "`predictedCategory` (the category it narrowed the query to) and `relatedSearches` (other " +
+        "queries or category paths for ozon_category). Poor results? Try ozon_suggest first.",
+      inputSchema: {
+        query: z
+          .string()
+          .min(1)
+          .describe('Search query, e.g. "iphone 15", "плед 150х200", "носки мужские"'),
+        ...listingInput,
+      },
+      outputSchema: searchOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_search", search)
+  );
+
+  server.registerTool(
+    "ozon_suggest",
+    {
+      title: "Ozon search suggestions",
+      description:
+        "Autocomplete a search query the way Ozon's search bar does: query completions, matching " +
+        "categories (paths for ozon_category), brands and products, plus spelling corrections. Cheap " +
+        "— use it to find Ozon's own wording before ozon_search, or when a search returned little.",
+      inputSchema: {
+        query: z.string().min(1).describe('A query or its beginning, e.g. "айфн", "кроссовки жен"'),
+        limit: z.number().int().min(1).max(30).default(10).describe("Max entries per list"),
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: suggestOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_suggest", suggest)
+  );
+
+  server.registerTool(
+    "ozon_category",
+    {
+      title: "Browse an Ozon catalog category",
+      description:
+        "List the products of one Ozon catalog category (e.g. Смартфоны) without a search query, " +
+        "plus the category's breadcrumbs and subcategories to drill down. Products have the same " +
+        "fields as ozon_search, and sort, price, facet filters and paging work the same way. " +
+        "Accepts a category id (\"15502\"), a full category URL, or a slug (\"smartfony-15502\").",
+      inputSchema: {
+        category: z
+          .string()
+          .min(1)
+          .describe('Category id (e.g. "15502"), full ozon.ru category URL, or slug (e.g. "smartfony-15502")'),
+        ...listingInput,
+      },
+      outputSchema: categoryOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_category", category)
+  );
+
+  server.registerTool(
+    "ozon_seller",
+    {
+      title: "Check an Ozon seller and list their products",
+      description:
+        "Look up an Ozon seller (store): name, legal name, rating, number of orders, time on Ozon and " +
+        "any warnings Ozon shows about the store, plus the seller's products (same fields, sort, " +
+        "filters and paging as ozon_search). Use it to vet a seller before a larger purchase. Accepts " +
+        "the seller URL from ozon_product_details, a seller id, or a slug.",
+      inputSchema: {
+        seller: z
+          .string()
+          .min(1)
+          .describe('Seller URL (e.g. the `seller.url` of ozon_product_details), seller id, or slug'),
+        ...listingInput,
+      },
+      outputSchema: sellerOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_seller", seller)
+  );
+
+  server.registerTool(
+    "ozon_product_details",
+    {
+      title: "Get Ozon product details",
+      description:
+        "Get full details for one Ozon product: name, price (card/regular/old), availability, delivery " +
+        "options to the delivery region when the page carries them (`delivery`: courier, pickup point " +
+        "or parcel locker, each with its earliest date and cost; often null, as Ozon mostly loads them " +
+        "after the page; `region` is the area Ozon served the page for), product " +
+        "rating, seller (name + rating), images, key characteristics (`characteristics`, a short " +
+        "summary), the full specification table grouped by section (`characteristicGroups`), and the " +
+        "product description (text and/or banner image URLs). Also lists the product's `variants` " +
+        "(color, size, memory, …) with each option's SKU, URL, price and stock; pass `variant` to get " +
+        "the details of the sibling SKU with those options instead. With `withRecommendations`, adds " +
+        "the page's product shelves (`recommendations`: similar products, frequently bought together, " +
+        "the seller's series) as search-style items. Accepts an SKU, a full product URL, or a slug.",
+      inputSchema: {
+        product: z
+          .string()
+          .min(1)
+          .describe('Product SKU (e.g. "1185261285"), full ozon.ru product URL, or product slug'),
+        variant: z
+          .string()
+          .optional()
+          .describe('Comma-separated option values as listed in `variants`, e.g. "256 ГБ, черный"'),
+        withRecommendations: z.boolean().default(false).describe("Also return the product page's shelves"),
+        ...regionInput,
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: detailsOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_product_details", details)
+  );
+
+  server.registerTool(
+    "ozon_product_offers",
+    {
+      title: "Get all sellers' offers for an Ozon product",
+      description:
+        "List every offer of the same Ozon product: the product page's own seller (`current: true`) " +
+        "and the other sellers, cheapest first, each with its price (card/regular/old), delivery " +
+        "promise (often null for the page's own offer), availability, seller (name, rating, URL) " +
+        "and the offer's own SKU and URL. " +
+        "`cheapest` is the first of them. Use it to find the cheapest seller of a product found via " +
+        "search or details. Accepts an SKU, a full product URL, or a slug.",
+      inputSchema: {
+        product: z
+          .string()
+          .min(1)
+          .describe('Product SKU (e.g. "1185261285"), full ozon.ru product URL, or product slug'),
+        limit: z.number().int().min(1).max(100).default(20).describe("Max offers to return"),
+        ...regionInput,
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: offersOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_product_offers", offers)
+  );
+
+  server.registerTool(
+    "ozon_compare_products",
+    {
+      title: "Compare Ozon products side by side",
+      description:
+        "Compare 2–10 Ozon products in one call: fetches them together and returns one table instead " +
+        "of separate product cards. `differences` holds every field whose values differ (price, old " +
+        "price, availability, rating, review count, seller and seller rating, then every " +
+        "specification row), with one value per product in the order of `products`; `null` means " +
+        "that product doesn't list the field. Fields identical for all products are collapsed into " +
+        "`same`. Products that fail to load are listed in `errors`. Accepts SKUs, full product URLs " +
+        "or slugs.",
+      inputSchema: {
+        products: z
+          .array(z.string().min(1))
+          .min(2)
+          .max(10)
+          .describe('2–10 product SKUs, URLs or slugs, e.g. ["1185261285", "https://www.ozon.ru/product/…"]'),
+        ...regionInput,
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: compareOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_compare_products", compare)
+  );
+
+  server.registerTool(
+    "ozon_product_reviews",
+    {
+      title: "Get Ozon product reviews",
+      description:
+        "Read real customer reviews for an Ozon product: author, score (1–5), comment, pros, cons, " +
+        "date, usefulness, whether the item was purchased, photo and video URLs, the variant bought " +
+        "(color/size), and the seller's or brand's reply with its date, plus the " +
+        "product's rating, review count and 1–5 star distribution. Pages through all reviews up to " +
+        "`limit`; filter by score, photos or verified purchase, and use sort score_asc to read the " +
+        "negative ones first. Pass the returned `nextCursor` as `cursor` to keep reading. " +
+        "Accepts an SKU, a full product URL, or a slug.",
+      inputSchema: {
+        product: z
+          .string()
+          .min(1)
+          .describe('Product SKU (e.g. "1185261285"), full ozon.ru product URL, or product slug'),
+        limit: z.number().int().min(1).max(200).default(10).describe("Max number of reviews (1–200, default 10)"),
+        sort: z
+          .enum(["newest", "score_desc", "score_asc"])
+          .default("newest")
+          .describe(
+            'Sort order: newest (default; Ozon\'s "new and useful" order), score_desc (best first), ' +
+              "score_asc (worst first)"
+          ),
+        scores: z
+          .array(z.number().int().min(1).max(5))
+          .optional()
+          .describe("Only reviews with these scores, e.g. [1, 2] for the negative ones"),
+        withPhotos: z.boolean().default(false).describe("Only reviews with photos attached"),
+        purchasedOnly: z.boolean().default(false).describe("Only reviews from verified buyers"),
+        cursor: z.string().optional().describe("`nextCursor` from a previous call; continues paging"),
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: reviewsOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_product_reviews", reviews)
+  );
+
+  server.registerTool(
+    "ozon_product_questions",
+    {
+      title: "Get Ozon product questions and answers",
+      description:
+        "Read the customer questions-and-answers section of an Ozon product: each question with its " +
+        "author, date, answer count and answers (author, whether it is the seller or a customer, text, " +
+        "date). Sizing and compatibility details are often answered only here. Pass the returned " +
+        "`nextCursor` as `cursor` to keep reading. Accepts an SKU, a full product URL, or a slug.",
+      inputSchema: {
+        product: z
+          .string()
+          .min(1)
+          .describe('Product SKU (e.g. "1185261285"), full ozon.ru product URL, or product slug'),
+        limit: z.number().int().min(1).max(100).default(10).describe("Max number of questions (1–100, default 10)"),
+        cursor: z.string().optional().describe("`nextCursor` from a previous call; continues paging"),
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: questionsOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_product_questions", questions)
+  );
+
+  server.registerTool(
+    "ozon_price_history",
+    {
+      title: "Get recorded Ozon price history",
+      description:
+        "Price history of Ozon SKUs from the server's local store (enabled with the OZON_PRICE_HISTORY " +
+        "env var; every product seen by search or details is recorded). Returns current, min and max " +
+        "price, the 30-day low, the discount the crossed-out old price claims vs. the real discount " +
+        "against the 30-day low, a `fakeMarkdown` flag, and the recorded price points.",
+      inputSchema: {
+        skus: z.array(z.string().regex(/^\d+$/)).min(1).max(50).describe('Product SKUs, e.g. ["1185261285"]'),
+        days: z
+          .number()
+          .int()
+          .min(1)
+          .max(3650)
+          .default(90)
+          .describe("How many days of points to return (default 90)"),
+        ...fieldsInput,
+      },
+      outputSchema: priceHistoryOutput,
+      annotations: { readOnlyHint: true, openWorldHint: false, idempotentHint: true },
+    },
+    tool("ozon_price_history", priceHistory)
+  );
+
+  server.registerTool(
+    "ozon_watchlist",
+    {
+      title: "Manage the Ozon price watchlist",
+      description:
+        "Manage the local watchlist of SKUs whose prices are tracked (needs OZON_PRICE_HISTORY). " +
+        "action: list (watched SKUs with price stats), add / remove (`skus` required), refresh " +
+        "(re-read the product page of every watched SKU, or only `skus`, to record current prices, " +
+        "then return the stats incl. the fake-markdown check; at most 15 SKUs per call, `skipped` " +
+        "counts the rest — refresh those by passing them in `skus`).",
+      inputSchema: {
+        action: z.enum(["list", "add", "remove", "refresh"]).default("list").describe("What to do"),
+        skus: z.array(z.string().regex(/^\d+$/)).max(100).default([]).describe("SKUs for add / remove / refresh"),
+        ...fieldsInput,
+      },
+      outputSchema: watchlistOutput,
+      annotations: { readOnlyHint: false, openWorldHint: true, idempotentHint: false },
+    },
+    tool("ozon_watchlist", watchlist)
+  );
+
+  server.registerTool(
+    "ozon_debug",
+    {
+      title: "Diagnose the Ozon connection and page layouts",
+      description:
+        "Diagnostics for when results look wrong or empty: browser and session state (contexts, " +
+        "age of each passed anti-bot challenge, relaunches, re-challenges), request latency, failed " +
+        "requests by kind, and the layout warnings the parsers reported since start (expected widgets " +
+        "or fields Ozon no longer sends). With `path`, also lists the widget names on that page " +
+        "(any composer path or ozon.ru URL) and the layout check of its parser.",
+      inputSchema: {
+        path: z
+          .string()
+          .optional()
+          .describe('Site path or ozon.ru URL to inspect, e.g. "/product/1185261285/" or "/search/?text=чайник"'),
+        ...regionInput,
+        ...freshInput,
+        ...fieldsInput,
+      },
+      outputSchema: debugOutput,
+      annotations: { readOnlyHint: true, openWorldHint: true, idempotentHint: true },
+    },
+    tool("ozon_debug", debug)
+  );
+
+  // ── resources ─────────────────────────────────────────────────────────────────
+  // Read-only views a client can attach to a conversation; same data as the tools.
+  const arg = (v) => decodeURIComponent(String(v));
+
+  server.registerResource(
+    "ozon_product",
+    new ResourceTemplate("ozon://product/{sku}", { list: undefined }),
+    {
+      title: "Ozon product",
+      description: "Product card as returned by ozon_product_details (price, seller, specifications, description)",
+      mimeType: "application/json",
+    },
+    resource("ozon://product", ({ sku }) => details({ product: arg(sku) }))
+  );
+
+  server.registerResource(
+    "ozon_product_reviews",
+    new ResourceTemplate("ozon://product/{sku}/reviews", { list: undefined }),
+    {
+      title: "Ozon product reviews",
+      description: "Rating, star distribution and the 30 newest reviews of a product",
+      mimeType: "application/json",
+    },
+    resource("ozon://product/reviews", ({ sku }) => reviews({ product: arg(sku), limit: 30 }))
+  );
+
+  server.registerResource(
+    "ozon_search",
+    new ResourceTemplate("ozon://search/{query}", { list: undefined }),
+    {
+      title: "Ozon search results",
+      description: "Top 12 popular results for a URL-encoded search query, e.g. ozon://search/iphone%2015",
+      mimeType: "application/json",
+    },
+    resource("ozon://search", ({ query }) => search({ query: arg(query) }))
+  );
+
+  // ── prompts ───────────────────────────────────────────────────────────────────
+  // Step-by-step plans for common shopping tasks; the agent runs the tools itself.
+  const userPrompt = (text) => ({ messages: [{ role: "user", content: { type: "text", text } }] });
+
+  server.registerPrompt(
+    "best_value",
+    {
+      title: "Find the best value under a budget",
+      description: "Search Ozon for a product type and pick the best value at or below a price",
+      argsSchema: {
+        query: z.string().describe('What to buy, e.g. "беспроводные наушники"'),
+        maxPrice: z.string().describe("Budget in RUB, e.g. 5000"),
+        mustHave: z.string().optional().describe("Required features, e.g. шумоподавление, USB-C"),
+      },
+    },
+    ({ query, maxPrice, mustHave }) =>
+      userPrompt(
+        `Find the best value "${query}" on Ozon for at most ${maxPrice} ₽` +
+          (mustHave ? `, must have: ${mustHave}` : "") +
+          ".\n\n" +
+          "1. ozon_search with the query, priceMax, minRating 4.5 and withFacets; if the results are " +
+          "noisy, narrow them with a category or brand filter from `facets` and search again; if " +
+          "they are poor, ozon_suggest shows how Ozon words the query.\n" +
+          "2. Shortlist 3–5 candidates with many reviews and a high rating" +
+          (mustHave ? " that plausibly have the required features" : "") +
+          ".\n" +
+          "3. ozon_compare_products on the shortlist to line up price and specifications.\n" +
+          "4. ozon_price_history for the shortlist: flag fake markdowns (a big crossed-out discount " +
+          "with no real drop).\n" +
+          "5. ozon_product_reviews of the favourite with sort score_asc: what do unhappy buyers report?\n" +
+          "6. Answer with a short table (name, price, rating, reviews, key specs, link), the pick and " +
+          "why, and the main risk from the negative reviews. Reply in the user's language."
+      )
+  );
+
+  server.registerPrompt(
+    "vet_product",
+    {
+      title: "Vet a product and its seller",
+      description: "Check an Ozon product, its seller, reviews and price before buying",
+      argsSchema: {
+        product: z.string().describe("Product SKU or ozon.ru product URL"),
+      },
+    },
+    ({ product }) =>
+      userPrompt(
+        `Vet this Ozon product before I buy it: ${product}\n\n` +
+          "1. ozon_product_details: price, availability, seller, specifications, variants.\n" +
+          "2. ozon_seller with the `seller.url` from the details: rating, orders, time on Ozon, " +
+          "warnings. Skip it if the seller is Ozon itself.\n" +
+          "3. ozon_product_reviews twice: sort score_asc (limit 30) for the complaints, then " +
+          "withPhotos and purchasedOnly for real-world photos. Look for fakes, defects, wrong " +
+          "variant delivered, and whether the seller replies.\n" +
+          "4. ozon_product_questions for sizing, compatibility and warranty answers.\n" +
+          "5. ozon_price_history: is the discount real? ozon_product_offers: does another seller " +
+          "sell it cheaper?\n" +
+          "6. Verdict: buy / buy with caution / avoid, with the three strongest reasons and links. " +
+          "Reply in the user's language."
+      )
+  );
+
+  server.registerPrompt(
+    "compare_shortlist",
+    {
+      title: "Compare a shortlist of products",
+      description: "Side-by-side comparison of 2–10 Ozon products with a recommendation",
+      argsSchema: {
+        products: z.string().describe("Comma-separated SKUs or product URLs"),
+        priorities: z.string().optional().describe("What matters most, e.g. battery life, weight"),
+      },
+    },
+    ({ products, priorities }) =>
+      userPrompt(
+        `Compare these Ozon products: ${products}` +
+          (priorities ? `\nWhat matters most: ${priorities}` : "") +
+          "\n\n" +
+          "1. ozon_compare_products with all of them; focus on `differences`.\n" +
+          "2. For the two strongest candidates, ozon_product_reviews with sort score_asc to see " +
+          "their typical failures.\n" +
+          "3. Answer with a compact table of the differences that matter, a recommendation and " +
+          "who should pick the runner-up instead. Reply in the user's language."
+      )
+  );
+
+  return server;
+}
 
 // ── lifecycle ───────────────────────────────────────────────────────────────────
+// `--http [port]` or OZON_HTTP_PORT serves Streamable HTTP for many clients; default is stdio;
+// a command as the first argument is a one-shot command line run instead.
+const argv = process.argv.slice(2);
+const httpFlag = argv.indexOf("--http");
+const intOrNull = (v) => (v != null && /^\d+$/.test(String(v)) ? Number(v) : null);
+const httpPort =
+  httpFlag >= 0
+    ? intOrNull(argv[httpFlag + 1]) ?? intOrNull(process.env.OZON_HTTP_PORT) ?? 3000
+    : intOrNull(process.env.OZON_HTTP_PORT);
+
+let httpServer = null;
 let cleaning = false;
 async function cleanup() {
   if (cleaning) return;
   cleaning = true;
   log("shutting down…");
+  await httpServer?.close().catch(() => {});
   await shutdown().catch(() => {});
   process.exit(0);
 }
@@ -120,7 +650,20 @@ process.on("uncaughtException", (e) => {
 });
 process.on("unhandledRejection", (r) => log("unhandledRejection:", r));
 
-const transport = new StdioServerTransport();
-transport.onclose = cleanup; // client disconnected → free the browser
-await server.connect(transport);
-log("ready on stdio");
+if (isCliCall(argv)) {
+  const code = await runCli(argv);
+  await shutdown().catch(() => {}); // keeps the passed session for the next run (OZON_STORAGE_STATE)
+  process.exit(code);
+} else if (httpPort != null) {
+  // a client disconnecting only ends its session — the shared browser stays up until SIGTERM
+  httpServer = await serveHttp(createServer, {
+    port: httpPort,
+    host: process.env.OZON_HTTP_HOST || "127.0.0.1",
+    token: process.env.OZON_HTTP_TOKEN || null,
+  });
+} else {
+  const transport = new StdioServerTransport();
+  transport.onclose = cleanup; // client disconnected → free the browser
+  await createServer().connect(transport);
+  log("ready on stdio");
+}
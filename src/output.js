@@ -0,0 +1,122 @@
+// Shaping of tool results before they go on the wire: an optional `fields` projection, then
+// size-aware trimming that keeps the JSON valid and says what it left out.
+
+const LONG_TEXT = 1000; // first trimming pass cuts free-text fields (descriptions, reviews) to this
+const ALWAYS_KEPT = ["nextCursor", "layoutWarnings"]; // paging and layout drift survive any projection
+
+/**
+ * Paged results carry, under this key, the cursor of every entry of their paged list
+ * ({ items: [cursor, …] }), so a trimmed result can continue at its first dropped entry.
+ * A symbol: it never reaches the JSON.
+ */
+export const CURSORS = Symbol("cursors");
+
+/** "items.sku" → { items: { sku: true } } */
+function fieldTree(fields) {
+  const tree = {};
+  for (const f of fields) {
+    const parts = String(f).split(".").filter(Boolean);
+    let node = tree;
+    // a parent asked for as a whole (node === true) stays whole
+    for (let i = 0; i < parts.length && node !== true; i++) {
+      if (i === parts.length - 1) node[parts[i]] = true;
+      else node = node[parts[i]] ??= {};
+    }
+  }
+  return tree;
+}
+
+function pick(value, tree) {
+  if (tree === true || value == null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map((v) => pick(v, tree));
+  const out = {};
+  for (const key of Object.keys(tree)) if (key in value) out[key] = pick(value[key], tree[key]);
+  return out;
+}
+
+/**
+ * Keep only the requested dot paths of a result; arrays are walked through, so "items.price"
+ * keeps the price of every item. `nextCursor` and `layoutWarnings` are always kept. Unknown paths
+ * are ignored.
+ */
+export function project(result, fields) {
+  if (!fields?.length || !result || typeof result !== "object") return result;
+  const tree = fieldTree(fields);
+  for (const key of ALWAYS_KEPT) if (key in result) tree[key] = true;
+  const out = pick(result, tree);
+  if (result[CURSORS]) out[CURSORS] = result[CURSORS];
+  return out;
+}
+
+const serialize = (v) => JSON.stringify(v, null, 2);
+
+/** Cut strings longer than LONG_TEXT in place; returns the paths cut, array indices folded to []. */
+function shortenTexts(node, path, seen) {
+  if (Array.isArray(node)) node.forEach((v, i) => (node[i] = shortenTexts(v, `${path}[]`, seen)));
+  else if (node && typeof node === "object") {
+    for (const k of Object.keys(node)) node[k] = shortenTexts(node[k], path ? `${path}.${k}` : k, seen);
+  } else if (typeof node === "string" && node.length > LONG_TEXT) {
+    seen.add(path);
+    return node.slice(0, LONG_TEXT - 1) + "…";
+  }
+  return node;
+}
+
+/** The top-level list that weighs the most, or null when there is nothing left to drop. */
+function heaviestList(result) {
+  let best = null;
+  let bestSize = 0;
+  for (const [key, v] of Object.entries(result)) {
+    if (!Array.isArray(v) || !v.length) continue;
+    const size = serialize(v).length;
+    if (size > bestSize) [best, bestSize] = [key, size];
+  }
+  return best;
+}
+
+/**
+ * Fit a result into `max` characters of pretty JSON. First long text fields are shortened, then
+ * whole items are dropped from the end of the heaviest top-level list (its `count`, when it
+ * counted that list, follows, and `nextCursor` moves back to the first dropped item when the
+ * result has its CURSORS). What was cut is reported in `truncated`. Returns { result, text }.
+ */
+export function fit(result, max) {
+  let text = serialize(result);
+  if (text.length <= max || !result || typeof result !== "object" || Array.isArray(result)) {
+    return { result, text };
+  }
+  const out = structuredClone(result);
+  const shortened = new Set();
+  const dropped = {};
+  const report = () => ({
+    reason: `response over ${max} characters`,
+    dropped,
+    shortened: [...shortened],
+  });
+
+  shortenTexts(out, "", shortened);
+  out.truncated = report();
+  text = serialize(out);
+
+  while (text.length > max) {
+    const key = heaviestList(out);
+    if (!key) break; // nothing left to drop; send it over the limit rather than break the JSON
+    const items = out[key];
+    const countedIt = out.count === items.length;
+    let excess = text.length - max;
+    let n = 0;
+    while (n < items.length - 1 && excess > 0) {
+      excess -= serialize(items[items.length - 1 - n]).length + 2;
+      n++;
+    }
+    n = Math.max(n, 1);
+    items.splice(items.length - n, n);
+    dropped[key] = (dropped[key] || 0) + n;
+    if (countedIt) out.count = items.length;
+    const resume = result[CURSORS]?.[key]?.[items.length];
+    if (resume) out.nextCursor = resume; // the dropped items stay reachable
+    out.truncated = report();
+    text = serialize(out);
+  }
+  return { result: out, text };
+}
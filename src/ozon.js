@@ -1,6 +1,27 @@
 // High-level Ozon operations: build composer-api paths, fetch via the browser, parse to plain data.
-import { fetchJson } from "./browser.js";
-import { parseSearch, parseDetails, parseReviews } from "./parse.js";
+import { fetchJson, status, metrics } from "./browser.js";
+import { recordPrices, historyOf, getWatchlist, watchAdd, watchRemove } from "./history.js";
+import { CURSORS } from "./output.js";
+import {
+  parseSearch,
+  parseFilters,
+  parseCategory,
+  parseSellerProfile,
+  parseDetails,
+  parseShelves,
+  parseOffers,
+  parseArea,
+  parseSearchHints,
+  parseSuggest,
+  deliveryDays,
+  parseVariants,
+  parseCharacteristics,
+  parseReviews,
+  parseQuestions,
+  widgetList,
+} from "./parse.js";
+
+const log = (...a) => console.error("[ozon]", ...a);
 
 const SORT_MAP = {
   popular: "",
@@ -21,34 +42,671 @@ function productPath(product) {
   return `/product/${p.replace(/^\/+|\/+$/g, "")}/`; // slug
 }
 
-export async function search({ query, sort = "popular", priceMin, priceMax, limit = 12 }) {
-  if (!query || !String(query).trim()) throw new Error("query is required");
-  let url = `/search/?text=${encodeURIComponent(query)}&from_global=true`;
+/** "/category/smartfony-15502/?text=x" -> "/category/smartfony-15502/" */
+function categoryPathOf(link) {
+  return String(link).split("?")[0].replace(/\/?$/, "/");
+}
+
+/** Accept a seller as id ("12345"), full url (incl. the one ozon_product_details returns), path, or slug. */
+function sellerPath(seller) {
+  const v = String(seller || "").trim();
+  if (!v) throw new Error("seller is required (id, url, or slug)");
+  const path = /^https?:\/\//.test(v) ? new URL(v).pathname : v.split("?")[0];
+  if (!path.startsWith("/")) return `/seller/${v.replace(/^\/+|\/+$/g, "")}/`; // bare id or slug
+  if (!path.startsWith("/seller/")) throw new Error(`not a seller page: ${seller} (expected /seller/...)`);
+  return path.replace(/\/?$/, "/");
+}
+
+/** Accept a category as id ("15502"), full url, "/category/..." path, or slug; return "/category/.../". */
+function categoryPath(category) {
+  const c = String(category || "").trim();
+  if (!c) throw new Error("category is required (id, url, or slug)");
+  if (/^https?:\/\//.test(c)) return categoryPathOf(new URL(c).pathname);
+  if (c.startsWith("/category/")) return categoryPathOf(c);
+  return `/category/${c.replace(/^\/+|\/+$/g, "")}/`; // bare id or slug — Ozon resolves both
+}
+
+const DRIFT_MAX = 100; // distinct layout warnings remembered for ozon_debug
+const drift = new Map(); // warning -> { warning, count, firstSeen, lastSeen, path }
+
+/**
+ * Put the parsers' `layoutWarnings` of one call on its result (only when there are any) and
+ * remember them for ozon_debug. A warning is logged the first time it appears, so a renamed
+ * widget shows in the log on the first call that hits it rather than as quietly empty results.
+ */
+function withLayout(result, warnings, path) {
+  const list = [...new Set(warnings.flat().filter(Boolean))];
+  const now = new Date().toISOString();
+  for (const warning of list) {
+    const seen = drift.get(warning);
+    if (seen) {
+      Object.assign(seen, { count: seen.count + 1, lastSeen: now, path });
+      continue;
+    }
+    log(`layout drift on ${path}: ${warning}`);
+    drift.set(warning, { warning, count: 1, firstSeen: now, lastSeen: now, path });
+    if (drift.size > DRIFT_MAX) drift.delete(drift.keys().next().value);
+  }
+  if (list.length) result.layoutWarnings = list;
+  return result;
+}
+
+/** Layout warnings seen since start, most recent first. */
+export function layoutReport() {
+  return [...drift.values()].sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
+
+const MAX_PAGES = 25; // hard stop for multi-page collection (a grid page holds ~12–36 items)
+
+/**
+ * Facet selection -> URL query: { brand: ["26303000"], brandcertified: true } ->
+ * "&brand=26303000&brandcertified=t". Keys and values are the ones parseFilters() returns;
+ * several values of one facet are comma-joined, as on the site. `category` is a path, not a param.
+ */
+function filterQuery(filters = {}) {
+  let q = "";
+  for (const [key, v] of Object.entries(filters)) {
+    if (key === "category" || v == null || v === false) continue;
+    const values = v === true ? ["t"] : [].concat(v).map(String).filter(Boolean);
+    if (values.length) q += `&${encodeURIComponent(key)}=${encodeURIComponent(values.join(","))}`;
+  }
+  return q;
+}
+
+/** sort + price range + facet filters -> "&sorting=price&currency_price=...&brand=..." */
+function listingQuery({ sort = "popular", priceMin, priceMax, filters }) {
+  let q = "";
   const sorting = SORT_MAP[sort];
-  if (sorting) url += `&sorting=${sorting}`;
+  if (sorting) q += `&sorting=${sorting}`;
   if (priceMin != null || priceMax != null) {
     const min = priceMin ?? 0;
     const max = priceMax ?? 99999999;
-    url += `&currency_price=${min}.000%3B${max}.000`;
+    q += `&currency_price=${min}.000%3B${max}.000`;
   }
-  const page = await fetchJson(url);
-  const { items } = parseSearch(page, limit);
-  return { query, sort, count: items.length, items };
+  return q + filterQuery(filters);
 }
 
-export async function details({ product }) {
-  const path = productPath(product);
+/**
+ * Post-filters on what the tiles show (most layouts have no facet for these): a rating floor, the
+ * "Оригинал" label, Ozon vs marketplace seller, cross-border or not, a label ("Распродажа"), and
+ * delivery within N days (the express promise counts). Returns the predicate a tile must pass.
+ */
+function itemFilter({ minRating, originalOnly, soldBy, crossBorder, label, deliveryWithinDays }) {
+  const now = new Date();
+  const want = label ? String(label).toLowerCase() : null;
+  const soonest = (it) => {
+    const days = [it.expressDelivery, it.delivery].map((t) => deliveryDays(t, now)).filter((d) => d != null);
+    return days.length ? Math.min(...days) : Infinity; // no promise on the tile: can't vouch for it
+  };
+  return (it) =>
+    (minRating == null || it.rating >= minRating) &&
+    (!originalOnly || it.original) &&
+    (!soldBy || it.sellerType === soldBy) &&
+    (crossBorder == null || it.crossBorder === crossBorder) &&
+    (!want || it.labels.some((l) => l.toLowerCase().includes(want))) &&
+    (deliveryWithinDays == null || soonest(it) <= deliveryWithinDays);
+}
+
+/**
+ * A cursor is the path of the page to read next, plus "#N" when the previous call stopped inside
+ * that page: its first N entries were already looked at. "/search/?text=x&page=2#7"
+ */
+const atEntry = (path, index) => (index > 0 ? `${path}#${index}` : path);
+
+function parseCursor(cursor) {
+  const [path, skip = "0"] = String(cursor).split("#");
+  return { path, skip: Number(skip) };
+}
+
+function checkCursor(cursor) {
+  if (cursor && !/^\/[^#]*(#\d+)?$/.test(String(cursor))) {
+    throw new Error("cursor must be a nextCursor from a previous call");
+  }
+}
+
+/**
+ * Page through `start` (a path or a cursor) until `limit` entries pass `keep`. `read(path)` fetches
+ * one page and returns { entries, nextPage, ... }; entries with a `key` seen before are skipped.
+ * Returns the entries, the cursor of each (so a trimmed result can resume at any of them), the
+ * cursor of the first entry not looked at, and the first page read.
+ */
+async function collectPages(start, { limit, maxPages, read, keep = () => true, key = () => null }) {
+  const entries = [];
+  const cursors = [];
+  const seen = new Set();
+  let first = null;
+  let { path: next, skip } = parseCursor(start);
+  for (let pages = 0; next && entries.length < limit && pages < maxPages; pages++) {
+    const at = next;
+    const res = await read(at);
+    first ??= res;
+    next = res.nextPage;
+    for (let i = skip; i < res.entries.length; i++) {
+      if (entries.length >= limit) {
+        next = atEntry(at, i); // the rest of this page is still to come
+        break;
+      }
+      const entry = res.entries[i];
+      const k = key(entry);
+      if (k != null && seen.has(k)) continue;
+      if (k != null) seen.add(k);
+      if (!keep(entry)) continue;
+      entries.push(entry);
+      cursors.push(atEntry(at, i));
+    }
+    skip = 0;
+  }
+  return { entries, cursors, nextCursor: next || null, first };
+}
+
+/**
+ * Read grid pages starting at `path` (or a cursor) until `limit` unique SKUs are gathered or the
+ * pages run out. Returns the first page's response alongside, for page-level data (facets,
+ * breadcrumbs), and that page's layout warnings.
+ */
+async function collectItems(path, { limit, keep, fresh, region }) {
+  const read = async (p) => {
+    const page = await fetchJson(p, { fresh, region });
+    const res = parseSearch(page, Infinity);
+    return { page, entries: res.items, nextPage: res.nextPage, layoutWarnings: res.layoutWarnings };
+  };
+  // promoted tiles repeat across pages; a page past the last result has no grid, legitimately
+  const { entries: items, cursors, nextCursor, first } = await collectPages(path, {
+    limit,
+    maxPages: MAX_PAGES,
+    read,
+    keep,
+    key: (it) => it.sku,
+  });
+  // tile price is the Ozon Card price (the one the grid shows big); history is of the default region
+  if (!region) {
+    await recordPrices(
+      items.map((it) => ({ ...it, price: null, cardPrice: it.price, available: true, source: "listing" }))
+    );
+  }
+  return { items, cursors, nextCursor, first: first?.page ?? null, layoutWarnings: first?.layoutWarnings ?? [] };
+}
+
+/**
+ * Search results, collected across grid pages until `limit` unique SKUs are gathered.
+ * `cursor` (the `nextCursor` of a previous call) continues where that call stopped and
+ * overrides query/sort/price/filters; `page` jumps straight to a 1-based results page.
+ * `filters.category` narrows the search to a category path from the `category` facet.
+ * minRating / originalOnly / soldBy / crossBorder / label / deliveryWithinDays drop tiles as the
+ * pages arrive (itemFilter), so `limit` counts matching items only.
+ */
+export async function search({
+  query,
+  sort = "popular",
+  priceMin,
+  priceMax,
+  filters,
+  minRating,
+  originalOnly = false,
+  soldBy,
+  crossBorder,
+  label,
+  deliveryWithinDays,
+  withFacets = false,
+  limit = 12,
+  page,
+  cursor,
+  region,
+  fresh = false,
+}) {
+  if (!query || !String(query).trim()) throw new Error("query is required");
+  checkCursor(cursor);
+  const category = filters?.category;
+  if (category && !String(category).startsWith("/category/")) {
+    throw new Error('filters.category must be a "/category/..." path from the category facet');
+  }
+  let url = `${category ? categoryPathOf(category) : "/search/"}?text=${encodeURIComponent(query)}&from_global=true`;
+  url += listingQuery({ sort, priceMin, priceMax, filters });
+  if (page > 1) url += `&page=${page}`;
+  const keep = itemFilter({ minRating, originalOnly, soldBy, crossBorder, label, deliveryWithinDays });
+
+  const listing = await collectItems(cursor || url, { limit, keep, fresh, region });
+  const { items, nextCursor, first } = listing;
+  const result = { query, sort, region: parseArea(first), count: items.length, items, nextCursor };
+  result[CURSORS] = { items: listing.cursors };
+  if (first) Object.assign(result, parseSearchHints(first));
+  if (withFacets) result.facets = first ? parseFilters(first) : [];
+  return withLayout(result, listing.layoutWarnings, cursor || url);
+}
+
+// The search bar's suggestion API: plain JSON, not a composer page (fetchJson passes "/api/" through)
+const SUGGEST_PATH = "/api/composer-api.bx/_action/searchSuggestions";
+
+/**
+ * Autocomplete for a (partial) query: completions, matching categories, brands and products,
+ * and spelling corrections — for rewording a query before searching.
+ */
+export async function suggest({ query, limit = 10, fresh = false }) {
+  const text = String(query || "").trim();
+  if (!text) throw new Error("query is required");
+  const res = parseSuggest(await fetchJson(`${SUGGEST_PATH}?text=${encodeURIComponent(text)}`, { fresh }));
+  return {
+    query: text,
+    queries: res.queries.slice(0, limit),
+    categories: res.categories.slice(0, limit),
+    brands: res.brands.slice(0, limit),
+    products: res.products.slice(0, limit),
+    corrections: res.corrections,
+  };
+}
+
+/** Products of one catalog category plus its breadcrumbs and subcategories; same options as search. */
+export async function category({
+  category,
+  sort = "popular",
+  priceMin,
+  priceMax,
+  filters,
+  minRating,
+  originalOnly = false,
+  soldBy,
+  crossBorder,
+  label,
+  deliveryWithinDays,
+  withFacets = false,
+  limit = 12,
+  page,
+  cursor,
+  region,
+  fresh = false,
+}) {
+  checkCursor(cursor);
+  const path = categoryPath(category);
+  let query = listingQuery({ sort, priceMin, priceMax, filters });
+  if (page > 1) query += `&page=${page}`;
+  const url = query ? `${path}?${query.slice(1)}` : path;
+  const keep = itemFilter({ minRating, originalOnly, soldBy, crossBorder, label, deliveryWithinDays });
+
+  const listing = await collectItems(cursor || url, { limit, keep, fresh, region });
+  const { items, nextCursor, first } = listing;
+  const { layoutWarnings, ...head } = parseCategory(first);
+  const result = { ...head, sort, region: parseArea(first), count: items.length, items, nextCursor };
+  result[CURSORS] = { items: listing.cursors };
+  if (withFacets) result.facets = first ? parseFilters(first) : [];
+  return withLayout(result, [listing.layoutWarnings, layoutWarnings], cursor || url);
+}
+
+/** "256 ГБ" / "256гб" / "Чёрный" -> "256гб" / "черный" for loose variant matching */
+const normVariant = (v) => String(v || "").toLowerCase().replace(/ё/g, "е").replace(/\s+/g, "");
+
+/**
+ * Walk the variant selector from `path` to the SKU that has every wanted option value
+ * ("256 ГБ, черный"). Each option only switches one dimension, so after every hop the
+ * new PDP's selector is read again. Returns the final path and its already-fetched base page.
+ */
+async function resolveVariant(path, wanted, { fresh, region }) {
+  const tokens = String(wanted).split(",").map(normVariant).filter(Boolean);
+  let page = await fetchJson(path, { fresh, region });
+  for (let hops = 0; hops <= tokens.length; hops++) {
+    const dims = parseVariants(page);
+    let target = null;
+    for (const t of tokens) {
+      const dim = dims.find((d) => d.options.some((o) => normVariant(o.value) === t));
+      if (!dim) {
+        const known = dims.map((d) => `${d.name}: ${d.options.map((o) => o.value).join(" / ")}`).join("; ");
+        throw new Error(`no variant "${t}" for this product${known ? ` (available: ${known})` : ""}`);
+      }
+      const opt = dim.options.find((o) => normVariant(o.value) === t);
+      if (!opt.selected) {
+        target = opt;
+        break;
+      }
+    }
+    if (!target) return { path, basePage: page };
+    path = productPath(target.url || target.sku);
+    page = await fetchJson(path, { fresh, region });
+  }
+  throw new Error(`variant "${wanted}" does not exist as one SKU`);
+}
+
+/**
+ * Product details; `variant` ("256 ГБ, черный") first switches to the matching sibling SKU.
+ * `withRecommendations` adds the page's shelves (similar, bought together, the seller's series).
+ * `region` gets price, stock and delivery for another delivery region than the default one.
+ */
+export async function details({ product, variant, withRecommendations = false, region, fresh = false }) {
+  let path = productPath(product);
+  let resolved = null;
+  const opts = { fresh, region };
+  if (variant) ({ path, basePage: resolved } = await resolveVariant(path, variant, opts));
   const [basePage, page2] = await Promise.all([
-    fetchJson(path),
-    fetchJson(`${path}?layout_container=pdpPage2column&layout_page_index=2`),
+    resolved || fetchJson(path, opts),
+    fetchJson(`${path}?layout_container=pdpPage2column&layout_page_index=2`, opts),
   ]);
-  return parseDetails(basePage, page2);
+  const { layoutWarnings, ...result } = parseDetails(basePage, page2);
+  if (withRecommendations) result.recommendations = parseShelves(basePage, page2);
+  // some layouts leave the full table off page 2; it usually has its own /features/ page, which
+  // is only a fallback: without it the details still come back, with no table and a warning
+  let warnings = layoutWarnings;
+  if (!result.characteristicGroups.length) {
+    let features = null;
+    try {
+      features = await fetchJson(`${path}features/`, opts);
+    } catch (err) {
+      log(`${path}features/: ${err?.message}`);
+    }
+    result.characteristicGroups = parseCharacteristics(features);
+    if (result.characteristicGroups.length) warnings = warnings.filter((w) => !w.startsWith("webCharacteristics"));
+    else warnings = [...warnings, "webCharacteristics: not on page 2 nor on the /features/ page"];
+  }
+  if (!region) {
+    await recordPrices([
+      { ...result, price: result.priceRegular, cardPrice: result.price, source: "details" },
+    ]);
+  }
+  return withLayout(result, warnings, path);
 }
 
-export async function reviews({ product, limit = 10 }) {
+/**
+ * Every offer of the same product: the product page's own (`current: true`) plus the other
+ * sellers' from their modal, cheapest first. The modal is only there when others sell it too:
+ * a 404 means the product page's offer is the only one; any other failure fails the call.
+ */
+export async function offers({ product, limit = 20, region, fresh = false }) {
   const path = productPath(product);
-  const page = await fetchJson(`${path}reviews/`);
-  return parseReviews(page, limit);
+  const base = parseDetails(await fetchJson(path, { fresh, region }), null);
+  const sku = base.sku || path.match(/(\d+)\/$/)?.[1];
+  if (!sku) throw new Error(`could not find the SKU of ${product}`);
+  const modal = `/modal/otherOffersFromSellers?product_id=${sku}&page_changed=true`;
+  const others = parseOffers(
+    await fetchJson(modal, { fresh, region }).catch((err) => {
+      if (err?.status === 404) return null;
+      throw err;
+    })
+  );
+  const rest = others.offers.filter((o) => o.sku !== sku); // the modal may list this one too
+  const listsThis = rest.length < others.offers.length;
+  const current = {
+    sku,
+    price: base.price,
+    priceRegular: base.priceRegular,
+    oldPrice: base.oldPrice,
+    delivery: base.delivery?.[0]?.date || null,
+    available: base.available,
+    seller: base.seller,
+    url: base.url,
+    current: true,
+  };
+  const list = [current, ...rest]
+    .filter((o) => o.price != null)
+    .sort((a, b) => a.price - b.price)
+    .slice(0, limit);
+  const result = {
+    sku,
+    name: base.name,
+    region: base.region,
+    sellers: Math.max(others.total - (listsThis ? 1 : 0), rest.length) + 1,
+    cheapest: list[0] || null,
+    count: list.length,
+    offers: list,
+  };
+  return withLayout(result, base.layoutWarnings, path);
+}
+
+const COMPARE_VALUE_MAX = 100; // chars per cell — long specs (комплектация) would blow the payload
+
+const cell = (v) => {
+  if (v == null || v === "") return null;
+  return typeof v === "string" && v.length > COMPARE_VALUE_MAX ? v.slice(0, COMPARE_VALUE_MAX - 1) + "…" : v;
+};
+
+/**
+ * Line up product details field by field: the summary fields, then the union of every product's
+ * specification rows in first-seen order. `null` marks a field the product doesn't list. Rows
+ * that differ go to `differences` (values in product order), identical ones collapse into `same`.
+ */
+function compareTable(list) {
+  const rows = new Map(); // field -> values, one per product
+  const put = (name, i, value) => {
+    if (!rows.has(name)) rows.set(name, list.map(() => null));
+    rows.get(name)[i] = cell(value);
+  };
+  list.forEach((d, i) => {
+    put("price", i, d.price);
+    put("oldPrice", i, d.oldPrice);
+    put("available", i, d.available);
+    put("rating", i, d.rating);
+    put("reviews", i, d.reviews);
+    put("seller", i, d.seller?.name);
+    put("sellerRating", i, d.seller?.rating);
+    for (const group of d.characteristicGroups) {
+      for (const { name, value } of group.items) if (name !== "Артикул") put(name, i, value); // = SKU
+    }
+  });
+  const differences = [];
+  const same = {};
+  for (const [name, values] of rows) {
+    if (values.every((v) => v === null)) continue;
+    if (values.every((v) => v === values[0])) same[name] = values[0];
+    else differences.push({ name, values });
+  }
+  return { differences, same };
+}
+
+/** Fetch 2–10 products together and return them as one comparison table. */
+export async function compare({ products, region, fresh = false }) {
+  const settled = await Promise.allSettled(products.map((product) => details({ product, region, fresh })));
+  const found = [];
+  const errors = [];
+  settled.forEach((r, i) => {
+    if (r.status === "fulfilled") found.push(r.value);
+    else errors.push({ product: products[i], error: r.reason?.message || String(r.reason) });
+  });
+  if (found.length < 2) {
+    const why = errors.map((e) => `${e.product}: ${e.error}`).join("; ");
+    throw new Error(`need at least 2 products to compare, got ${found.length}${why ? ` (${why})` : ""}`);
+  }
+  const result = {
+    products: found.map(({ sku, name, url }) => ({ sku, name, url })),
+    ...compareTable(found),
+    errors,
+  };
+  // each details() call has already logged and counted its own
+  const layoutWarnings = [...new Set(found.flatMap((d) => d.layoutWarnings || []))];
+  if (layoutWarnings.length) result.layoutWarnings = layoutWarnings;
+  return result;
+}
+
+/**
+ * Seller profile plus the seller's storefront listing (same options as search). The "about
+ * the store" facts live in a modal page; it is optional, so its failure doesn't fail the call.
+ */
+export async function seller({
+  seller,
+  sort = "popular",
+  priceMin,
+  priceMax,
+  filters,
+  minRating,
+  originalOnly = false,
+  soldBy,
+  crossBorder,
+  label,
+  deliveryWithinDays,
+  withFacets = false,
+  limit = 12,
+  page,
+  cursor,
+  region,
+  fresh = false,
+}) {
+  checkCursor(cursor);
+  const path = sellerPath(seller);
+  const id = path.match(/(\d+)\/$/)?.[1];
+  let query = listingQuery({ sort, priceMin, priceMax, filters });
+  if (page > 1) query += `&page=${page}`;
+  const url = query ? `${path}?${query.slice(1)}` : path;
+  const keep = itemFilter({ minRating, originalOnly, soldBy, crossBorder, label, deliveryWithinDays });
+
+  const [listing, about] = await Promise.all([
+    collectItems(cursor || url, { limit, keep, fresh, region }),
+    id ? fetchJson(`/modal/shop-in-shop-info?seller_id=${id}`, { fresh }).catch(() => null) : null,
+  ]);
+  const { items, nextCursor, first } = listing;
+  const { layoutWarnings, ...profile } = parseSellerProfile(first, about);
+  const result = { ...profile, id: profile.id || id || null, sort, region: parseArea(first) };
+  Object.assign(result, { count: items.length, items, nextCursor, [CURSORS]: { items: listing.cursors } });
+  if (withFacets) result.facets = first ? parseFilters(first) : [];
+  return withLayout(result, [listing.layoutWarnings, layoutWarnings], cursor || url);
+}
+
+// the orders webListReviews.sortings offers; "newest" is Ozon's default, "новые и полезные"
+const REVIEW_SORT = {
+  newest: "published_at_desc",
+  score_desc: "score_desc",
+  score_asc: "score_asc",
+};
+
+const MAX_REVIEW_PAGES = 20; // 30 reviews per page
+
+/**
+ * Reviews, paged until `limit` matching ones are gathered. `scores`, `withPhotos` and
+ * `purchasedOnly` are applied to each page as it arrives; sort by score_asc to reach the
+ * negative reviews first. `cursor` (the `nextCursor` of a previous call) continues paging.
+ */
+export async function reviews({
+  product,
+  limit = 10,
+  sort = "newest",
+  scores,
+  withPhotos = false,
+  purchasedOnly = false,
+  cursor,
+  fresh = false,
+}) {
+  checkCursor(cursor);
+  const base = `${productPath(product)}reviews/`;
+  const sorting = REVIEW_SORT[sort];
+  const keep = (r) =>
+    (!scores?.length || scores.includes(r.score)) &&
+    (!withPhotos || r.hasPhotos) &&
+    (!purchasedOnly || r.purchased === true);
+
+  const read = async (p) => {
+    const res = parseReviews(await fetchJson(p, { fresh }), Infinity);
+    return { ...res, entries: res.reviews };
+  };
+  const start = cursor || (sorting ? `${base}?sort=${sorting}` : base);
+  const { entries: list, cursors, nextCursor, first: head } = await collectPages(start, {
+    limit,
+    maxPages: MAX_REVIEW_PAGES,
+    read,
+    keep,
+    key: (r) => r.id || null,
+  });
+  const result = {
+    rating: head?.rating ?? null,
+    totalReviews: head?.totalReviews ?? null,
+    distribution: head?.distribution ?? null,
+    count: list.length,
+    reviews: list,
+    nextCursor,
+    [CURSORS]: { reviews: cursors },
+  };
+  return withLayout(result, head?.layoutWarnings || [], cursor || base);
+}
+
+const MAX_QUESTION_PAGES = 10;
+
+/** Customer questions with their answers, paged until `limit`; `cursor` continues paging. */
+export async function questions({ product, limit = 10, cursor, fresh = false }) {
+  checkCursor(cursor);
+  const start = cursor || `${productPath(product)}questions/`;
+  const read = async (p) => {
+    const res = parseQuestions(await fetchJson(p, { fresh }), Infinity);
+    return { ...res, entries: res.questions };
+  };
+  const pages = { limit, maxPages: MAX_QUESTION_PAGES, read };
+  const { entries: list, cursors, nextCursor, first } = await collectPages(start, pages);
+  const result = { totalQuestions: first?.totalQuestions ?? null, count: list.length, questions: list, nextCursor };
+  result[CURSORS] = { questions: cursors };
+  return withLayout(result, first?.layoutWarnings || [], start);
+}
+
+/** Price history of SKUs from the local store, with the fake-markdown check. */
+export async function priceHistory({ skus, days = 90 }) {
+  const list = await historyOf(skus.map(String), { days });
+  return { days, count: list.length, items: list };
+}
+
+// SKUs per refresh call: each costs a two-page details fetch, and the batch has to fit in
+// TOOL_TIMEOUT_MS at the scheduler's concurrency
+const REFRESH_MAX = 15;
+
+/**
+ * Watchlist actions: list (with current stats), add, remove, refresh (re-read every watched
+ * SKU's product page, which records a fresh observation, then report the stats). Refresh reads
+ * the pages in parallel through the scheduler, as compare() does; past REFRESH_MAX the rest are
+ * counted in `skipped`.
+ */
+export async function watchlist({ action = "list", skus = [] }) {
+  if ((action === "add" || action === "remove") && !skus.length) throw new Error(`skus are required for ${action}`);
+  if (action === "add") await watchAdd(skus);
+  if (action === "remove") await watchRemove(skus);
+
+  const watched = (await getWatchlist()).map((i) => i.sku);
+  const errors = [];
+  let skipped = 0;
+  if (action === "refresh") {
+    const todo = skus.length ? skus.map(String) : watched;
+    const batch = todo.slice(0, REFRESH_MAX);
+    skipped = todo.length - batch.length;
+    // each details() call records the observation
+    const settled = await Promise.allSettled(batch.map((sku) => details({ product: sku, fresh: true })));
+    settled.forEach((r, i) => {
+      if (r.status === "rejected") errors.push({ sku: batch[i], error: r.reason?.message || String(r.reason) });
+    });
+  }
+  const items = watched.length ? await historyOf(watched, { points: false }) : [];
+  const result = { action, count: items.length, items };
+  if (action === "refresh") Object.assign(result, { errors, skipped });
+  return result;
+}
+
+/** The parser whose layout checks apply to a site path, for ozon_debug's look at one page. */
+function pageParser(path) {
+  const [p, query = ""] = path.split("?");
+  if (p.startsWith("/product/")) {
+    if (p.endsWith("/reviews/")) return (page) => parseReviews(page);
+    if (p.endsWith("/questions/")) return (page) => parseQuestions(page);
+    if (!/layout_page_index/.test(query) && !p.endsWith("/features/")) return (page) => parseDetails(page, null);
+    return null;
+  }
+  if (/^\/(search|category|seller)\//.test(p)) return (page) => parseSearch(page);
+  return null;
+}
+
+/**
+ * Diagnostics: browser and session state, request metrics, the layout warnings seen since start,
+ * and — given a site `path` or ozon.ru URL — the widgets of that page with the layout check of
+ * its parser, to see right away which widget Ozon renamed.
+ */
+export async function debug({ path, region, fresh = false }) {
+  const result = { browser: status(), metrics: metrics(), layoutDrift: layoutReport() };
+  if (!path) return result;
+  let site = String(path).trim();
+  if (/^https?:\/\//.test(site)) {
+    const url = new URL(site);
+    site = url.pathname + url.search;
+  }
+  if (!site.startsWith("/")) throw new Error('path must be a site path ("/product/1185261285/") or an ozon.ru URL');
+  const page = await fetchJson(site, { fresh, region });
+  const widgets = widgetList(page);
+  result.page = {
+    path: site,
+    pageType: page?.pageInfo?.pageType ?? null,
+    region: parseArea(page),
+    widgetCount: widgets.length,
+    widgets,
+    keys: page && typeof page === "object" ? Object.keys(page) : [],
+    layoutWarnings: pageParser(site)?.(page).layoutWarnings ?? [],
+  };
+  return result;
 }
 
-export const _internal = { productPath };
+export const _internal = { productPath, categoryPath, sellerPath };
@@ -36,6 +36,26 @@ function widgets(page, name) {
     .filter(Boolean);
 }
 
+/** Widget names on a page with each state's size — what `ozon_debug` shows of a path. */
+export function widgetList(page) {
+  const ws = page?.widgetStates || {};
+  return Object.keys(ws).map((key) => ({ name: widgetName(key), key, bytes: String(ws[key] ?? "").length }));
+}
+
+// ── layout drift ────────────────────────────────────────────────────────────────
+// When Ozon renames a widget the parsers don't fail, they return nulls and empty lists. So each
+// page parser also returns `layoutWarnings`: "<widget>: <what was missing>" for every widget or
+// field it expected and didn't find. Legitimately empty pages (no results, sold out) stay quiet.
+
+/** [[found, "webPrice: widget missing"], …] → the messages of what wasn't found */
+const missingOf = (checks) => checks.filter(([found]) => !found).map(([, msg]) => msg);
+
+/** Some widget name on the page matches `re` (empty-result stubs, sold-out blocks). */
+const hasWidgetLike = (page, re) => Object.keys(page?.widgetStates || {}).some((k) => re.test(widgetName(k)));
+
+const EMPTY_RESULTS = /error|empty|notfound|nothing|stub/i;
+const SOLD_OUT = /outofstock|soldout|notavailable|unavailable/i;
+
 /** "53 022 ₽" -> 53022 ; null/garbage -> null */
 function priceToNumber(text) {
   if (typeof text !== "string") return null;
@@ -59,10 +79,46 @@ function skuFromUrl(url) {
 // ── search ─────────────────────────────────────────────────────────────────────
 // Products live in the `tileGridDesktop-*` widget as `items[]`. Each item carries a
 // `mainState[]` array of typed blocks (priceV2 / textDS name / labelListV2 rating).
+// Shelf tiles on product pages are the older flavour of the same thing: `state[]` with
+// textAtom / labelList blocks, `skuId`, `link` and `items[]` images — read by the same code.
+// Besides name and price a tile carries markers: label lists ("Оригинал"), badges over the image
+// ("Распродажа", "Осталась 1 шт"), a stock bar, the Ozon mark next to the rating when Ozon itself
+// sells it, the seller's status icon on the cart button when a marketplace seller does, the
+// Ozon Fresh / Ozon Global / Ozon Premium labels or icons, and the delivery promise as the cart
+// button's title ("12 июня"; "За час" on the express button). Shelf tiles have the promise on
+// `button.addToCartButtonWithQuantity`.
+
+/** Texts of a labelListV2 ({type:"text", text:{text}}) or labelList ({title: "<b>…</b>"}) block. */
+function labelTexts(ll) {
+  return (ll?.items || [])
+    .map((x) => (x.type === "text" ? x.text?.text : x.title))
+    .filter((t) => typeof t === "string")
+    .map((t) => t.replace(/<[^>]+>/g, "").trim())
+    .filter(Boolean);
+}
+
+/** Texts of the badges over a tile's image (leftBottomBadgeV2, secondLeftBottomBadgeV2, …). */
+function tileBadges(it) {
+  return [it, it.tileImage]
+    .flatMap((o) => Object.entries(o || {}).filter(([k]) => /badge/i.test(k)))
+    .map(([, b]) => b?.text)
+    .filter((t) => typeof t === "string" && t.trim());
+}
+
+const EXPRESS = /за\s*\d*\s*(час|минут)/i; // "За час", "за 30 минут"
+const CROSS_BORDER = /ozon global|из-за рубежа|зарубеж|из китая|международн/i;
+const CROSS_BORDER_ICON = /"ic_\w*(global|crossborder|abroad)\w*"/i;
+const FRESH = /^(ozon )?fresh\b/i;
+const FRESH_MARK = /"ic_\w*fresh\w*"|miniapp=supermarket/i; // Fresh goods link into the supermarket
+const OZON_PREMIUM = /^(ozon )?premium\b/i; // the subscription's price/label, not the seller status
+const OZON_PREMIUM_ICON = /"ic_\w*premium\w*"/i;
+
+/** A cart button title when it is a delivery promise ("12 июня", "завтра", "За час"), else null. */
+const promiseOf = (t) => (typeof t === "string" && (DELIVERY_DATE.test(t) || EXPRESS.test(t)) ? t.trim() : null);
 
 function parseSearchItem(it) {
   if (!it) return null;
-  const ms = Array.isArray(it.mainState) ? it.mainState : [];
+  const ms = [it.mainState, it.state].find(Array.isArray) || [];
 
   // price block
   const priceBlock = ms.find((s) => s.type === "priceV2")?.priceV2;
@@ -71,45 +127,62 @@ function parseSearchItem(it) {
   const oldPrice = priceToNumber(prices.find((p) => p.textStyle === "ORIGINAL_PRICE")?.text);
 
   // name block (id === "name")
-  const name = ms.find((s) => s.id === "name")?.textDS?.text || null;
+  const nameBlock = ms.find((s) => s.id === "name");
+  const name = nameBlock?.textDS?.text || nameBlock?.textAtom?.text || null;
 
-  // rating block: a labelListV2 that contains a star icon
+  // rating block: a label list that contains a star icon
   let rating = null;
   let reviews = null;
-  const ratingList = ms.find(
-    (s) => s.labelListV2 && JSON.stringify(s.labelListV2).includes("ic_s_star")
-  )?.labelListV2?.items;
-  if (Array.isArray(ratingList)) {
-    const texts = ratingList.filter((x) => x.type === "text").map((x) => x.text?.text);
+  const lists = ms.map((s) => s.labelListV2 || s.labelList).filter(Boolean);
+  const isRating = (ll) => JSON.stringify(ll).includes("ic_s_star");
+  const ratingList = lists.find(isRating);
+  if (ratingList) {
+    const texts = labelTexts(ratingList);
     // first text after the star = rating, the one after the dialog icon = review count
     if (texts[0]) rating = parseFloat(String(texts[0]).replace(",", "."));
     if (texts[1]) reviews = priceToNumber(texts[1]);
   }
 
-  // brand: a labelListV2 that is not the rating block; take its first text item, but skip
+  // brand: a label list that is not the rating block; take its first text item, but skip
   // marketing badges ("Стало дешевле", "Оригинал", "Хит", price-drop labels, etc.)
   const BADGE = /^(стало дешевле|оригинал|хит|новинка|акция|распродажа|выбор|бестселлер|ozon|premium|самовывоз|скидка)/i;
   let brand = null;
-  const labelLists = ms
-    .filter((s) => s.labelListV2 && !JSON.stringify(s.labelListV2).includes("ic_s_star"))
-    .map((s) => s.labelListV2);
-  for (const ll of labelLists) {
-    const cand = (ll.items || []).find((x) => x.type === "text")?.text?.text?.trim();
+  for (const ll of lists.filter((ll) => !isRating(ll))) {
+    const cand = labelTexts(ll)[0];
     if (cand && !BADGE.test(cand)) {
       brand = cand;
       break;
     }
   }
 
-  const url = cleanUrl(it.action?.link);
-  const sku = String(it.sku || it.id || skuFromUrl(url) || "") || null;
+  // every other text on the tile is a marker: labels besides the brand, image badges, the stock bar
+  const labels = [
+    ...lists.filter((ll) => !isRating(ll)).flatMap(labelTexts).filter((t) => t !== brand),
+    ...tileBadges(it),
+    ...ms.filter((s) => s.id !== "name").map((s) => (s.textDS || s.textAtom)?.text).filter(Boolean),
+  ];
+  const cart = it.multiButton?.ozonButton?.addToCart;
+  const button = it.multiButton || it.button;
+  const delivery =
+    promiseOf(cart?.actionButton?.title ?? cart?.title) ?? promiseOf(button?.addToCartButtonWithQuantity?.text);
+
+  const url = cleanUrl(it.action?.link || it.link);
+  const sku = String(it.sku || it.id || it.skuId || skuFromUrl(url) || "") || null;
 
   // first image
   const image =
     it.tileImage?.items?.find((x) => x.image?.link)?.image?.link ||
     it.tileImage?.coverImage ||
+    it.items?.find((x) => x.image?.link)?.image?.link ||
     null;
 
+  // who sells it: the Ozon mark in the rating row, or a marketplace seller's status icon / a rating
+  // row without the mark; a tile with neither row nor icon (unrated, or a changed layout) is unknown
+  const premiumSeller = JSON.stringify(button || {}).includes("premium-seller-icon");
+  let sellerType = null;
+  if (lists.some((ll) => JSON.stringify(ll).includes("ic_s_ozon_circle"))) sellerType = "ozon";
+  else if (ratingList || premiumSeller) sellerType = "marketplace";
+
   if (!sku || !price) return null; // a real product always has both
   return {
     sku,
@@ -122,20 +195,332 @@ function parseSearchItem(it) {
     brand,
     url,
     image,
+    labels: [...new Set(labels)],
+    original: labels.some((t) => /^оригинал/i.test(t)),
+    delivery,
+    expressDelivery: promiseOf(it.multiButton?.expressButton?.addToCart?.actionButton?.title),
+    sellerType,
+    premiumSeller,
+    crossBorder: labels.some((t) => CROSS_BORDER.test(t)) || CROSS_BORDER_ICON.test(JSON.stringify(ms)),
+    fresh: labels.some((t) => FRESH.test(t)) || FRESH_MARK.test(JSON.stringify([ms, it.action?.link ?? it.link])),
+    ozonPremium: labels.some((t) => OZON_PREMIUM.test(t)) || OZON_PREMIUM_ICON.test(JSON.stringify(ms)),
   };
 }
 
+// ── search filters ─────────────────────────────────────────────────────────────
+// `filtersDesktop-*` holds sections[].filters[]; each filter has a `type` and the payload under
+// the key of the same name (checkboxesFilter / boolFilter / colorFilter / categoryFilter /
+// multipleRangesFilter). Filter keys and value keys are what Ozon expects back in the URL.
+
+/** strip the query string off a category link: "/category/smartfony-15502/?text=x" -> "/category/smartfony-15502/" */
+function categoryPathOf(link) {
+  return link ? String(link).split("?")[0] : null;
+}
+
+function checkboxValues(cb) {
+  const out = [];
+  for (const sec of cb?.sections || []) {
+    for (const it of sec.items || []) {
+      if (!it?.key || (it.key === "0" && /неважно/i.test(it.title?.text || ""))) continue; // "any" radio
+      out.push({
+        value: String(it.key),
+        title: it.title?.text || null,
+        count: typeof it.count === "number" ? it.count : priceToNumber(it.subtitle?.text ?? it.count),
+        selected: !!it.isSelected,
+      });
+    }
+  }
+  return out;
+}
+
+function parseFilter(f) {
+  const body = f?.[f?.type];
+  if (!f?.key || !body) return null;
+  const base = { key: f.key, title: body.title || body.rangeFilter?.title || null };
+  switch (f.type) {
+    case "boolFilter":
+      return { ...base, type: "bool", values: [{ value: "t", title: body.title || null, count: null, selected: !!body.isSelected }] };
+    case "checkboxesFilter":
+      return { ...base, type: body.isRadio ? "single" : "multi", values: checkboxValues(body), more: !!body.hasManyValues };
+    case "colorFilter":
+      return {
+        ...base,
+        type: "multi",
+        values: (body.colorIcons || []).map((c) => ({
+          value: String(c.key),
+          title: c.description || null,
+          count: null,
+          selected: !!c.isSelected,
+        })),
+        more: !!body.openingButtons,
+      };
+    case "categoryFilter":
+      return {
+        ...base,
+        type: "single",
+        values: (body.categories || [])
+          .filter((c) => categoryPathOf(c.urlValue)?.startsWith("/category/"))
+          .map((c) => ({ value: categoryPathOf(c.urlValue), title: c.title || null, count: null, selected: !!c.isActive })),
+      };
+    case "multipleRangesFilter":
+    case "rangeFilter": {
+      const r = body.rangeFilter || body;
+      return {
+        ...base,
+        type: "range",
+        min: typeof r.minValue === "number" ? r.minValue : null,
+        max: typeof r.maxValue === "number" ? r.maxValue : null,
+        values: checkboxValues(body.checkboxesFilter),
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Available search facets: [{ key, title, type: bool|single|multi|range, values[{value,title,count,selected}] }].
+ * `more: true` means Ozon shows only the top values here (brands, sellers, ...).
+ */
+export function parseFilters(page) {
+  const w = widget(page, "filtersDesktop");
+  const out = [];
+  for (const sec of w?.sections || []) {
+    for (const f of sec.filters || []) {
+      const parsed = parseFilter(f);
+      if (parsed) out.push(parsed);
+    }
+  }
+  return out;
+}
+
+/**
+ * Site path of the next results page, or null on the last one. The grid's paginator widget
+ * carries it as `nextPage` (a ready "/category/...?page=2&search_page_state=..." path);
+ * some layouts only put it at the top level of the response.
+ */
+function nextPagePath(page) {
+  const p = widget(page, "infiniteVirtualPaginator") || widget(page, "megaPaginator");
+  return p?.nextPage || page?.nextPage || null;
+}
+
 export function parseSearch(page, limit = 12) {
   const grid = widget(page, "tileGridDesktop");
   const raw = grid?.items || [];
-  const items = raw.map(parseSearchItem).filter(Boolean).slice(0, limit);
-  return { count: items.length, items };
+  const parsed = raw.map(parseSearchItem).filter(Boolean);
+  const items = parsed.slice(0, limit);
+  const layoutWarnings = missingOf([
+    [grid || hasWidgetLike(page, EMPTY_RESULTS), "tileGridDesktop: widget missing"],
+    [parsed.length || !raw.length, `tileGridDesktop: ${raw.length} tiles, none parsed`],
+    [!parsed.length || parsed.some((it) => it.name), "tileGridDesktop: no tile has a name"],
+  ]);
+  return { count: items.length, items, nextPage: nextPagePath(page), layoutWarnings };
+}
+
+// ── category ───────────────────────────────────────────────────────────────────
+// A category page is a search grid without text. Its own name/id sit in the JSON string
+// `shared.catalog.category`; the category facet lists ancestors, the active category, and
+// then its children; breadCrumbs (when present) is the canonical trail.
+
+function sharedCatalog(page) {
+  try {
+    return JSON.parse(page?.shared || "{}")?.catalog || null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseCategory(page) {
+  const cat = sharedCatalog(page)?.category;
+  const cats = widget(page, "filtersDesktop")?.sections
+    ?.flatMap((s) => s.filters || [])
+    .find((f) => f.type === "categoryFilter")?.categoryFilter?.categories || [];
+  const link = (c) => ({ name: c.text || c.title || null, url: cleanUrl(categoryPathOf(c.link || c.urlValue)) });
+
+  const activeIdx = cats.findIndex((c) => c.isActive);
+  let breadcrumbs = (widget(page, "breadCrumbs")?.breadcrumbs || []).map(link);
+  if (!breadcrumbs.length && activeIdx >= 0) {
+    breadcrumbs = cats
+      .slice(0, activeIdx + 1)
+      .filter((c) => categoryPathOf(c.urlValue)?.startsWith("/category/"))
+      .map(link);
+  }
+  const subcategories = activeIdx >= 0 ? cats.slice(activeIdx + 1).map(link) : [];
+  const active = activeIdx >= 0 ? cats[activeIdx] : null;
+
+  const name = cat?.name || active?.title || breadcrumbs.at(-1)?.name || null;
+  return {
+    id: cat?.id != null ? String(cat.id) : null,
+    name,
+    url: cleanUrl(page?.pageInfo?.url && categoryPathOf(page.pageInfo.url)),
+    breadcrumbs,
+    subcategories,
+    layoutWarnings: missingOf([
+      [cat, "shared: no catalog.category"],
+      [name, "filtersDesktop: no active category (no name from shared, facet or breadCrumbs)"],
+    ]),
+  };
+}
+
+// ── search hints ───────────────────────────────────────────────────────────────
+// Around the grid a search page says how Ozon read the query: `tagListModal` holds related
+// searches (tags linking to a category or another search), a results header may say the query
+// was corrected ("Показаны результаты по запросу «айфон»"), and a query Ozon mapped to a category
+// lands on that category's page with `category_was_predicted=true` in its links.
+
+const CORRECTED = /исправ|возможно, вы искали|показаны результаты по запросу|вы имели в виду/i;
+const QUOTED = /[«"]([^»"]+)[»"]/;
+
+/** Search text of a "/search/?text=…" link, or null. */
+function searchTextOf(link) {
+  const m = String(link || "").match(/^\/search\/\?(?:.*&)?text=([^&]*)/);
+  return m ? decodeURIComponent(m[1].replace(/\+/g, " ")) : null;
+}
+
+/** A related-search tag: another query, or a category path to hand to ozon_category. */
+function relatedSearch(text, link) {
+  if (!text || !link) return null;
+  const query = searchTextOf(link);
+  const category = String(link).startsWith("/category/") ? categoryPathOf(link) : null;
+  return query || category ? { text, query, category } : null;
+}
+
+/**
+ * { didYouMean, relatedSearches[{ text, query, category }], predictedCategory{ id, name } } of a
+ * search page; each is null / empty when Ozon showed nothing of the kind.
+ */
+export function parseSearchHints(page) {
+  const didYouMean =
+    widgetTextLines(page, /header|correct|spell|error/i)
+      .filter((line) => CORRECTED.test(line))
+      .map((line) => line.match(QUOTED)?.[1])
+      .find(Boolean) || null;
+  const relatedSearches = (widget(page, "tagListModal")?.tags || [])
+    .map((t) => relatedSearch(t.text, t.common?.action?.link || t.link))
+    .filter(Boolean);
+  const links = [nextPagePath(page), widget(page, "searchResultsFiltersActive")?.uriBase].join(" ");
+  const cat = sharedCatalog(page)?.category;
+  const predictedCategory =
+    /category_was_predicted=true/.test(links) && cat?.id ? { id: String(cat.id), name: cat.name || null } : null;
+  return { didYouMean, relatedSearches, predictedCategory };
+}
+
+// ── suggestions ────────────────────────────────────────────────────────────────
+// The search bar's suggestion API answers with lists of entries, each a title plus a link. What
+// an entry is follows from its link: "/search/?text=…" a query completion, "/category/…" a
+// category, "/brand/…" a brand, "/product/…" a product. A spelling fix comes as its own field.
+
+const TITLE_KEYS = ["text", "title", "name", "query"];
+const LINK_KEYS = ["link", "url", "deeplink", "href"];
+
+function entryOf(node) {
+  const title = TITLE_KEYS.map((k) => node[k]).find((v) => typeof v === "string" && v.trim());
+  const link = [...LINK_KEYS.map((k) => node[k]), node.action?.link, node.common?.action?.link].find(
+    (v) => typeof v === "string" && v.startsWith("/")
+  );
+  return title && link ? { title: title.replace(/<[^>]+>/g, "").trim(), link } : null;
+}
+
+/** { queries, categories[{ name, path }], brands[{ name, url }], products[{ sku, name, url }], corrections } */
+export function parseSuggest(data) {
+  const out = { queries: [], categories: [], brands: [], products: [], corrections: [] };
+  const seen = new Set();
+  const add = (list, key, value) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    list.push(value);
+  };
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== "object") return;
+    for (const [k, v] of Object.entries(node)) {
+      if (/correct|fixed|spell|misprint/i.test(k) && typeof v === "string" && v.trim()) {
+        add(out.corrections, `fix:${v}`, v.trim());
+      }
+    }
+    const e = entryOf(node);
+    if (e) {
+      const path = e.link.split("?")[0];
+      const query = searchTextOf(e.link);
+      if (query) add(out.queries, `q:${query}`, query);
+      else if (path.startsWith("/category/")) add(out.categories, path, { name: e.title, path });
+      else if (path.startsWith("/brand/")) add(out.brands, path, { name: e.title, url: cleanUrl(path) });
+      else if (path.startsWith("/product/")) {
+        add(out.products, path, { sku: skuFromUrl(path), name: e.title, url: cleanUrl(path) });
+      }
+    }
+    for (const v of Object.values(node)) if (v && typeof v === "object") walk(v);
+  };
+  walk(data);
+  return out;
+}
+
+// ── seller ─────────────────────────────────────────────────────────────────────
+// /seller/<slug>-<id>/ is a product grid (tileGridDesktop, same as search) under a store
+// header; the "about the store" facts (legal name, orders, time on Ozon, warnings) come as
+// label/value text cells in the header and in the /modal/shop-in-shop-info page. Their widget
+// layout varies a lot between sellers, so the profile is read from the text lines of every
+// seller/shop widget rather than from fixed paths.
+
+const SELLER_WIDGET = /^(seller|shop|webSeller|webCurrentSeller|textBlock|webTrustFactors)/i;
+const TEXT_KEYS = new Set(["text", "content", "title", "subtitle", "value", "name"]);
+
+/** Text lines, in document order, of the widgets of a page whose name matches `nameRe`. */
+function widgetTextLines(page, nameRe) {
+  const lines = [];
+  const walk = (n, key) => {
+    if (typeof n === "string") {
+      const text = n.replace(/<[^>]+>/g, "").trim(); // some cells carry <b>…</b>
+      if (TEXT_KEYS.has(key) && text && !/^(https?:)?\//.test(text)) lines.push(text);
+      return;
+    }
+    if (Array.isArray(n)) return n.forEach((x) => walk(x, key));
+    if (n && typeof n === "object") for (const k in n) if (!/tracking|testInfo/i.test(k)) walk(n[k], k);
+  };
+  const ws = page?.widgetStates || {};
+  for (const k of Object.keys(ws)) {
+    if (!nameRe.test(widgetName(k))) continue;
+    try {
+      walk(JSON.parse(ws[k]));
+    } catch {}
+  }
+  return lines;
+}
+
+/** value of a "label / value" cell pair: the line after the one matching `label`, or the same line's tail */
+function labelled(lines, label) {
+  const i = lines.findIndex((l) => label.test(l));
+  if (i < 0) return null;
+  const tail = lines[i].replace(label, "").replace(/^[\s:–—-]+/, "").trim();
+  return tail || lines[i + 1] || null;
+}
+
+export function parseSellerProfile(page, aboutPage) {
+  const lines = [...widgetTextLines(page, SELLER_WIDGET), ...widgetTextLines(aboutPage, SELLER_WIDGET)];
+  const idMatch = String(page?.pageInfo?.url || "").match(/\/seller\/(?:[^/?]*-)?(\d+)\/?/);
+  const ratingText = labelled(lines, /^рейтинг( магазина)?/i) || lines.find((l) => /^\d[.,]\d$/.test(l));
+  const orders =
+    labelled(lines, /^(заказ(ов|ы)|количество заказов)/i) || lines.find((l) => /\d[\d\s]*\s*заказ/i.test(l));
+  const warning = /осторожн|предупрежд|нарушени|жалоб|низкий рейтинг|внимание/i;
+  return {
+    id: idMatch ? idMatch[1] : null,
+    // "Техно-Маркет - купить на OZON": only a spaced separator ends the name
+    name: labelled(lines, /^(название|магазин)$/i) || page?.seo?.title?.split(/\s+[|—–-]\s+/)[0]?.trim() || null,
+    legalName: lines.find((l) => /^(ООО|ИП|АО|ПАО|ЗАО|ОАО)\s|«.+»/.test(l)) || null,
+    rating: ratingText ? parseFloat(String(ratingText).replace(",", ".")) || null : null,
+    orders: orders ? priceToNumber(orders) : null,
+    onOzon: labelled(lines, /^(на ozon|работает с ozon|с ozon)/i),
+    warnings: [...new Set(lines.filter((l) => warning.test(l)))],
+    url: cleanUrl(page?.pageInfo?.url),
+    layoutWarnings: missingOf([[lines.length, "seller header: no seller/shop widget with text"]]),
+  };
 }
 
 // ── product details ─────────────────────────────────────────────────────────────
 // Base PDP page carries webPrice / webProductHeading / webGallery / webReviewProductScore /
-// webShortCharacteristics / webCurrentSeller. The description (webDescription) lives on
-// the `pdpPage2column` page (page index 2), so details merges two pages.
+// webShortCharacteristics / webCurrentSeller. The description (webDescription) and the full
+// characteristics table (webCharacteristics) live on the `pdpPage2column` page (page index 2),
+// so details merges two pages.
 
 /** join an array of rich-text nodes ({text}|{content}) into a plain string */
 function rsText(arr) {
@@ -159,6 +544,30 @@ function parseShortCharacteristics(page) {
   return out;
 }
 
+/**
+ * Full specification table: webCharacteristics.characteristics[] are groups ("Общие",
+ * "Габариты", "Экран", …; the title may be absent when there is one group), each with
+ * short[] and long[] rows of { name, values[{text}] }. Returns [{ title, items[{name,value}] }].
+ */
+export function parseCharacteristics(page) {
+  const groups = [];
+  for (const w of widgets(page, "webCharacteristics")) {
+    for (const g of w.characteristics || []) {
+      const items = [];
+      for (const c of [...(g.short || []), ...(g.long || [])]) {
+        const value = (c.values || [])
+          .map((v) => v?.text)
+          .filter(Boolean)
+          .join(", ");
+        if (c.name && value) items.push({ name: c.name, value });
+      }
+      const title = typeof g.title === "string" ? g.title : g.title?.text || null;
+      if (items.length) groups.push({ title, items });
+    }
+  }
+  return groups;
+}
+
 /** product's own rating + review count, from webSingleProductScore: "4.9 • 819 отзывов" */
 function parseProductScore(page) {
   const w = widget(page, "webSingleProductScore") || widget(page, "webReviewProductScore");
@@ -172,6 +581,32 @@ function parseProductScore(page) {
   return { rating, reviews };
 }
 
+/**
+ * Variant selector (webAspects): aspects[] are the dimensions a listing varies in (Цвет,
+ * Встроенная память, Размер, …). Each aspect's variants[] option points at the sibling SKU
+ * that differs from this product in that one dimension; `active` marks the current value.
+ */
+export function parseVariants(page) {
+  const w = widget(page, "webAspects");
+  return (w?.aspects || [])
+    .map((a) => ({
+      name: String(a.title || a.aspectKey || "").replace(/:.*$/, "").trim() || null,
+      options: (a.variants || []).map((v) => {
+        const d = v.data || {};
+        const url = cleanUrl(v.link);
+        return {
+          value: d.searchableText || d.title || rsText(d.textRs) || null,
+          sku: v.sku != null ? String(v.sku) : skuFromUrl(url),
+          url,
+          price: priceToNumber(d.price ?? d.cardPrice),
+          available: v.availability ? v.availability === "inStock" : null,
+          selected: !!v.active,
+        };
+      }),
+    }))
+    .filter((a) => a.options.length);
+}
+
 function parseSeller(page) {
   const w = widget(page, "webCurrentSeller");
   if (!w) return null;
@@ -215,6 +650,93 @@ export function parseDescription(page2) {
   };
 }
 
+// ── delivery ────────────────────────────────────────────────────────────────────
+// webDelivery lists the ways to get the product to the current area — courier, pickup point,
+// Ozon parcel locker — each with its earliest date ("завтра", "12 июня") and price
+// ("бесплатно", "99 ₽"). Its layout changes often, so options are found by wording: the
+// smallest part of the widget whose texts name exactly one way of delivery and a date is one option.
+
+const DELIVERY_TYPES = [
+  [/курьер/i, "courier"],
+  [/постамат/i, "locker"],
+  [/пункт|пвз|самовывоз|выдач/i, "pickup"],
+];
+const MONTHS = "января|февраля|марта|апреля|мая|июня|июля|августа|сентября|октября|ноября|декабря";
+const DELIVERY_DATE = new RegExp(
+  `сегодня|послезавтра|завтра|\\d{1,2}(?:\\s*[–-]\\s*\\d{1,2})?\\s+(?:${MONTHS})`, // "12–14 июня"
+  "i"
+);
+
+function deliveryOption(texts) {
+  const types = DELIVERY_TYPES.filter(([re]) => texts.some((t) => re.test(t)));
+  const date = texts.map((t) => t.match(DELIVERY_DATE)?.[0]).find(Boolean);
+  if (types.length !== 1 || !date) return null;
+  const [re, type] = types[0];
+  const costText = texts.find((t) => /бесплатн|₽/i.test(t));
+  return {
+    type,
+    title: texts.find((t) => re.test(t)),
+    date,
+    cost: costText ? (/бесплатн/i.test(costText) ? 0 : priceToNumber(costText)) : null,
+  };
+}
+
+/**
+ * Delivery options of a product page: [{ type: courier|pickup|locker, title, date, cost }]. Ozon
+ * usually fills webDelivery after the page has loaded, so on a fetched page it is often `{}`.
+ */
+export function parseDelivery(...pages) {
+  const found = [];
+  // returns the subtree's texts, or null once an option was taken from inside it
+  const visit = (node) => {
+    if (typeof node === "string") {
+      const t = node.replace(/<[^>]+>/g, "").trim();
+      return /[а-яё₽]/i.test(t) ? [t] : [];
+    }
+    if (!node || typeof node !== "object") return [];
+    const texts = [];
+    let taken = false;
+    for (const child of Object.values(node)) {
+      const sub = visit(child);
+      if (sub === null) taken = true;
+      else texts.push(...sub);
+    }
+    if (taken) return null;
+    const option = deliveryOption(texts);
+    if (!option) return texts;
+    found.push(option);
+    return null;
+  };
+  for (const page of pages) for (const w of widgets(page, "webDelivery")) visit(w);
+  return found.filter((o, i) => found.findIndex((x) => x.type === o.type) === i); // first = earliest
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A delivery promise as whole days from `now`: "За час" / "сегодня" 0, "завтра" 1, "12 июня" the
+ * days to the next 12 June (the later end of "12–14 июня"); null when it names no date.
+ */
+export function deliveryDays(text, now = new Date()) {
+  const t = String(text || "").toLowerCase();
+  if (EXPRESS.test(t) || t.includes("сегодня")) return 0;
+  if (t.includes("послезавтра")) return 2;
+  if (t.includes("завтра")) return 1;
+  const m = t.match(new RegExp(`(\\d{1,2})\\s+(${MONTHS})`));
+  if (!m) return null;
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const month = MONTHS.split("|").indexOf(m[2]);
+  let date = new Date(now.getFullYear(), month, Number(m[1]));
+  if (date < today) date = new Date(now.getFullYear() + 1, month, Number(m[1])); // a promise is never past
+  return Math.round((date - today) / DAY_MS);
+}
+
+/** The delivery area a composer response was served for (`location.current`), e.g. "Москва". */
+export function parseArea(page) {
+  const loc = page?.location?.current;
+  return loc?.name || loc?.city || null;
+}
+
 export function parseDetails(basePage, page2) {
   const heading = widget(basePage, "webProductHeading");
   const price = widget(basePage, "webPrice");
@@ -230,6 +752,14 @@ export function parseDetails(basePage, page2) {
     (sku ? `https://www.ozon.ru/product/${sku}/` : null);
 
   const { rating, reviews } = parseProductScore(basePage);
+  const seller = parseSeller(basePage);
+  const characteristicGroups = parseCharacteristics(page2);
+  const soldOut = price?.isAvailable === false || hasWidgetLike(basePage, SOLD_OUT);
+  const delivery = parseDelivery(basePage, page2);
+  // an empty widget is Ozon loading it later, not drift: the options are just unknown
+  const deliveryLater = [basePage, page2]
+    .flatMap((p) => widgets(p, "webDelivery"))
+    .some((w) => !Object.keys(w).length);
 
   const images = [];
   if (gallery?.coverImage) images.push(gallery.coverImage);
@@ -246,18 +776,137 @@ export function parseDetails(basePage, page2) {
     priceRegular: priceToNumber(price?.price),
     oldPrice: priceToNumber(price?.originalPrice),
     available: price?.isAvailable ?? null,
+    delivery: delivery.length ? delivery : null,
+    region: parseArea(basePage),
     rating,
     reviews,
-    seller: parseSeller(basePage),
+    seller,
+    variants: parseVariants(basePage),
     images: [...new Set(images)].slice(0, 10),
     characteristics: parseShortCharacteristics(basePage),
+    characteristicGroups,
     description: parseDescription(page2),
+    layoutWarnings: missingOf([
+      [sku, "webGallery: no sku (nor in layoutTrackingInfo / seo link)"],
+      [heading?.title, "webProductHeading: no title"],
+      [price || soldOut, "webPrice: widget missing"],
+      [!price || soldOut || priceToNumber(price.cardPrice ?? price.price) != null, "webPrice: no price"],
+      [gallery, "webGallery: widget missing"],
+      [seller || soldOut, "webCurrentSeller: no seller name"],
+      [delivery.length || deliveryLater || soldOut, "webDelivery: no delivery options"],
+      // page 2 is optional (ozon_product_offers reads the base page only)
+      [!page2 || characteristicGroups.length, "webCharacteristics: not on page 2"],
+    ]),
   };
 }
 
+// ── recommendation shelves ─────────────────────────────────────────────────────
+// Page 2 of a PDP carries `skuShelfGoods-*` shelves ("Рекомендуем также", "Похожие товары",
+// "Покупают вместе"): header.title + productContainer.products[] of shelf tiles. Page 1's
+// `webCollections` is the seller's own series (tiles with sku, link, picture, localPrice only).
+
+const SHELF_KINDS = [
+  [/вместе|дополн|аксессуар/i, "boughtTogether"],
+  [/похож|рекоменд|также|аналог/i, "similar"],
+];
+
+function shelfKind(title) {
+  return SHELF_KINDS.find(([re]) => re.test(title || ""))?.[1] || "other";
+}
+
+function collectionTile(t) {
+  const price = priceToNumber(t.localPrice || t.price);
+  const sku = String(t.sku || skuFromUrl(t.link) || "") || null;
+  if (!sku || !price) return null;
+  return {
+    sku,
+    name: t.title || null,
+    price,
+    oldPrice: null,
+    discount: null,
+    rating: null,
+    reviews: null,
+    brand: null,
+    url: cleanUrl(t.link),
+    image: t.picture || null,
+    labels: [], // a collection tile shows none of the markers
+    original: null,
+    delivery: null,
+    expressDelivery: null,
+    sellerType: null,
+    premiumSeller: null,
+    crossBorder: null,
+    fresh: null,
+    ozonPremium: null,
+  };
+}
+
+/** Recommendation shelves of a product page: [{ title, kind, items }], items shaped like search items. */
+export function parseShelves(basePage, page2) {
+  const shelves = [];
+  for (const page of [basePage, page2]) {
+    for (const w of widgets(page, "skuShelfGoods")) {
+      const title = w.header?.title || null;
+      const items = (w.productContainer?.products || []).map(parseSearchItem).filter(Boolean);
+      if (items.length) shelves.push({ title, kind: shelfKind(title), items });
+    }
+  }
+  for (const w of widgets(basePage, "webCollections")) {
+    const items = (w.tiles || []).map(collectionTile).filter(Boolean);
+    if (items.length) shelves.push({ title: w.header?.text || null, kind: "collection", items });
+  }
+  return shelves;
+}
+
+// ── other sellers ──────────────────────────────────────────────────────────────
+// The "other sellers" modal (/modal/otherOffersFromSellers?product_id=…) holds `webSellerList`:
+// sellers[] — each an offer of the same product: the seller (name, link, rating), the offer's own
+// SKU and link, a price block shaped like webPrice (cardPrice / price / originalPrice) and a
+// delivery promise. Field names drift between layouts, so every one has a fallback.
+
+/** A string, or the text of a {text}/{title}/{price} object. */
+function textOf(v) {
+  if (v == null) return null;
+  if (typeof v === "string" || typeof v === "number") return String(v);
+  return textOf(v.text ?? v.title ?? v.price ?? null);
+}
+
+function parseOffer(s) {
+  const seller = s.seller || s;
+  const price = s.price || s.priceBlock || {};
+  const link = s.productLink || s.link || s.action?.link;
+  const regular = priceToNumber(textOf(price.price) || textOf(s.price));
+  const card = priceToNumber(textOf(price.cardPrice));
+  const offer = {
+    sku: String(s.sku || s.skuId || skuFromUrl(link) || "") || null,
+    price: card ?? regular,
+    priceRegular: regular,
+    oldPrice: priceToNumber(textOf(price.originalPrice)),
+    delivery: textOf(s.deliveryTime ?? s.delivery ?? s.deliveryDate)?.replace(/<[^>]+>/g, "").trim() || null,
+    available: s.isAvailable ?? (s.isOutOfStock != null ? !s.isOutOfStock : null),
+    seller: {
+      name: textOf(seller.name) || null,
+      rating: parseFloat(String(textOf(seller.rating) || "").replace(",", ".")) || null,
+      url: cleanUrl(seller.link || seller.sellerLink),
+    },
+    url: cleanUrl(link),
+  };
+  return offer.price ? offer : null;
+}
+
+/** Offers of other sellers for the same product, cheapest first. */
+export function parseOffers(page) {
+  const w = widget(page, "webSellerList");
+  const offers = (w?.sellers || w?.items || []).map(parseOffer).filter(Boolean);
+  offers.sort((a, b) => a.price - b.price);
+  return { total: w?.totalCount ?? offers.length, offers };
+}
+
 // ── reviews ─────────────────────────────────────────────────────────────────────
 // webListReviews holds reviews[]; each has content.{comment,positive,negative,score},
-// author, publishedAt (unix), usefulness, isItemPurchased.
+// author, publishedAt (unix), usefulness, isItemPurchased, photos/videos, the reviewed variant
+// (itemId -> webListReviews.products) and comments (seller replies). 30 per page; `paging` links the
+// next one. The reviews page's webReviewProductScore carries the 1–5 star histogram.
 
 function unixToDate(ts) {
   if (!ts) return null;
@@ -266,6 +915,57 @@ function unixToDate(ts) {
   return d.toISOString().slice(0, 10);
 }
 
+/** A video length as Ozon shows it ("00:27", "1:02:03") or a number of seconds -> seconds */
+function durationSec(d) {
+  if (typeof d === "number") return d;
+  const parts = String(d ?? "").split(":");
+  if (!parts.every((p) => /^\d+$/.test(p))) return null;
+  return parts.reduce((sec, p) => sec * 60 + Number(p), 0);
+}
+
+/** webReviewProductScore.score[] = [{ title: "5 звёзд", value: 782 }, …] -> { 5: 782, 4: 22, … } */
+function parseScoreDistribution(page) {
+  const w = widgets(page, "webReviewProductScore").find((x) => Array.isArray(x.score));
+  if (!w) return null;
+  const out = {};
+  for (const s of w.score) {
+    const star = parseInt(String(s?.title || ""), 10);
+    if (star >= 1 && star <= 5 && typeof s.value === "number") out[star] = s.value;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/** Path of the next list page: paging.nextButton is a "?page=2&page_key=…" suffix of the list path. */
+function nextListPath(page, w) {
+  const next = w?.paging?.nextButton;
+  const base = w?.requestedPath || String(page?.pageInfo?.url || "").split("?")[0];
+  if (next && base) return base + next;
+  return page?.nextPage || null;
+}
+
+/** the variant a review was left for: webListReviews.products[itemId].variants -> { name: value } */
+function reviewVariant(products, itemId) {
+  if (!itemId) return null;
+  const p = products?.[itemId];
+  const attributes = {};
+  for (const v of p?.variants || []) if (v?.name && v.value) attributes[v.name] = v.value;
+  return { sku: String(itemId), name: p?.name || null, attributes };
+}
+
+/**
+ * The seller's/brand's reply among a review's comments. Official comments carry
+ * author.officialUser (seller) or author.clientOfficial (brand) instead of a plain name.
+ */
+function sellerReply(comments) {
+  const c = (comments || []).find((x) => x?.author?.officialUser || x?.author?.clientOfficial || x?.isOfficial);
+  if (!c) return null;
+  return {
+    author: personName(c.author),
+    text: c.text || c.content?.text || c.comment || "",
+    date: unixToDate(c.publishedAt || c.createdAt),
+  };
+}
+
 export function parseReviews(page, limit = 10) {
   const w = widget(page, "webListReviews");
   const raw = w?.reviews || w?.items || [];
@@ -278,6 +978,7 @@ export function parseReviews(page, limit = 10) {
       [r.author?.firstName, r.author?.lastName].filter(Boolean).join(" ") ||
       (r.isAnonymous ? "Аноним" : null);
     return {
+      id: r.uuid || null,
       author: author || null,
       score: typeof c.score === "number" ? c.score : null,
       comment: c.comment || "",
@@ -287,10 +988,80 @@ export function parseReviews(page, limit = 10) {
       useful: r.usefulness?.useful ?? null,
       purchased: r.isItemPurchased ?? null,
       hasPhotos: Array.isArray(c.photos) && c.photos.length > 0,
+      photos: (c.photos || []).map((ph) => ph?.url).filter(Boolean),
+      videos: (c.videos || [])
+        .filter((v) => v?.url)
+        .map((v) => ({ url: v.url, preview: v.previewUrl || null, duration: durationSec(v.duration) })),
+      variant: reviewVariant(w?.products, r.itemId),
+      sellerReply: sellerReply(r.comments?.list),
+      comments: r.comments?.totalCount ?? 0,
     };
   });
 
-  return { rating, totalReviews: total, count: reviews.length, reviews };
+  return {
+    rating,
+    totalReviews: total ?? w?.paging?.total ?? null,
+    distribution: parseScoreDistribution(page),
+    count: reviews.length,
+    reviews,
+    nextPage: nextListPath(page, w),
+    // a product without reviews may have no list at all; one with a review count must have it
+    layoutWarnings: missingOf([
+      [w || !total, "webListReviews: widget missing"],
+      [!raw.length || reviews.some((r) => r.score != null), "webListReviews: no review has a score"],
+    ]),
+  };
+}
+
+// ── questions ───────────────────────────────────────────────────────────────────
+// /product/…/questions/ carries webListQuestions with questions[]; each has author, text,
+// publishedAt and answers.{list,totalCount}. Answers by the seller or brand have an
+// official author (officialUser / clientOfficial) like review comments do. Paging as reviews.
+
+function personName(a) {
+  const official = a?.officialUser || a?.clientOfficial;
+  return official?.name || official?.title || a?.title || [a?.firstName, a?.lastName].filter(Boolean).join(" ") || null;
+}
+
+function parseAnswer(a) {
+  const official = a?.author?.officialUser || a?.author?.clientOfficial || a?.isOfficial || a?.isSeller;
+  return {
+    author: personName(a?.author),
+    authorType: official ? "seller" : "customer",
+    text: a?.text || a?.content?.text || "",
+    date: unixToDate(a?.publishedAt || a?.createdAt),
+    useful: a?.usefulness?.useful ?? null,
+  };
+}
+
+export function parseQuestions(page, limit = 10) {
+  const w = widget(page, "webListQuestions") || widget(page, "webQuestions");
+  const raw = w?.questions || w?.items || [];
+  const countText = widget(page, "webQuestionCount")?.text;
+
+  const questions = raw.slice(0, limit).map((q) => {
+    const answers = q.answers?.list || (Array.isArray(q.answers) ? q.answers : []);
+    return {
+      id: q.uuid || (q.id != null ? String(q.id) : null),
+      author: personName(q.author) || (q.isAnonymous ? "Аноним" : null),
+      text: q.text || q.content?.text || "",
+      date: unixToDate(q.publishedAt || q.createdAt),
+      answerCount: q.answers?.totalCount ?? q.answersCount ?? answers.length,
+      answers: answers.map(parseAnswer),
+    };
+  });
+
+  const total = w?.paging?.total ?? (countText ? priceToNumber(countText) : null);
+  return {
+    totalQuestions: total,
+    count: questions.length,
+    questions,
+    nextPage: nextListPath(page, w),
+    layoutWarnings: missingOf([
+      [w || !total, "webListQuestions: widget missing"],
+      [!raw.length || questions.some((q) => q.text), "webListQuestions: no question has a text"],
+    ]),
+  };
 }
 
 export const _internal = { priceToNumber, cleanUrl, skuFromUrl, widget };
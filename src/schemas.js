@@ -0,0 +1,300 @@
+// Zod output schemas of the tools (MCP `outputSchema`; results also go out as `structuredContent`).
+// Every key is optional and unknown keys pass: a `fields` projection may drop any field, and
+// Ozon pages often lack one — the schemas describe the shape, they don't demand completeness.
+
+import { z } from "zod";
+
+const obj = (shape) => z.object(shape).partial().passthrough();
+const str = z.string().nullable();
+const num = z.number().nullable();
+const bool = z.boolean().nullable();
+const list = (item) => z.array(item);
+/** Tool output shape: the same keys, each optional (the top level is a raw shape, not obj()). */
+const shape = (keys) => Object.fromEntries(Object.entries(keys).map(([k, v]) => [k, v.optional()]));
+
+/** Added to any result that had to be cut to fit the response size limit. */
+const truncated = obj({
+  reason: z.string(),
+  dropped: z.record(z.number()).describe("List name -> number of items left out from its end"),
+  shortened: list(z.string()).describe("Text fields cut short, e.g. \"reviews[].comment\""),
+});
+const layoutWarnings = list(z.string()).describe(
+  'Expected page widgets or fields that were missing ("webPrice: widget missing") — Ozon changed its layout'
+);
+const common = { truncated, layoutWarnings };
+
+const link = obj({ name: str, url: str });
+
+const listingItem = obj({
+  sku: str,
+  name: str,
+  price: num.describe("Price in RUB (Ozon Card price when shown)"),
+  oldPrice: num,
+  discount: str,
+  rating: num,
+  reviews: num,
+  brand: str,
+  url: str,
+  image: str,
+  labels: list(z.string()).describe('Labels and badges on the tile: "Оригинал", "Распродажа", "Осталась 1 шт"'),
+  original: bool,
+  delivery: str.describe('Delivery promise shown on the tile: "12 июня", "завтра"'),
+  expressDelivery: str.describe('Express delivery promise, e.g. "За час"'),
+  sellerType: z.enum(["ozon", "marketplace"]).nullable().describe("null when the tile shows neither marker"),
+  premiumSeller: bool.describe("The marketplace seller has Ozon's premium seller status"),
+  crossBorder: bool.describe("Shipped from abroad (Ozon Global)"),
+  fresh: bool.describe("An Ozon Fresh (grocery delivery) item"),
+  ozonPremium: bool.describe("Marked for Ozon Premium subscribers"),
+});
+
+const facet = obj({
+  key: z.string(),
+  title: str,
+  type: z.enum(["bool", "single", "multi", "range"]),
+  values: list(obj({ value: z.string(), title: str, count: num, selected: z.boolean() })),
+  more: z.boolean(),
+  min: num,
+  max: num,
+});
+
+const region = str.describe('Delivery area Ozon served the data for, e.g. "Москва"');
+
+const listing = {
+  sort: z.string(),
+  region,
+  count: z.number(),
+  items: list(listingItem),
+  nextCursor: str,
+  facets: list(facet),
+  ...common,
+};
+
+export const searchOutput = shape({
+  query: z.string(),
+  didYouMean: str.describe("The corrected query Ozon searched instead, when it fixed a typo"),
+  predictedCategory: obj({ id: str, name: str }).nullable(),
+  relatedSearches: list(obj({ text: z.string(), query: str, category: str })),
+  ...listing,
+});
+
+export const suggestOutput = shape({
+  query: z.string(),
+  queries: list(z.string()),
+  categories: list(obj({ name: z.string(), path: z.string() })),
+  brands: list(obj({ name: z.string(), url: str })),
+  products: list(obj({ sku: str, name: z.string(), url: str })),
+  corrections: list(z.string()),
+  ...common,
+});
+
+export const categoryOutput = shape({
+  id: str,
+  name: str,
+  url: str,
+  breadcrumbs: list(link),
+  subcategories: list(link),
+  ...listing,
+});
+
+export const sellerOutput = shape({
+  id: str,
+  name: str,
+  legalName: str,
+  rating: num,
+  orders: num,
+  onOzon: str,
+  warnings: list(z.string()).describe("Warnings Ozon shows about the store"),
+  url: str,
+  ...listing,
+});
+
+const characteristicGroup = obj({ title: str, items: list(obj({ name: z.string(), value: str })) });
+
+export const detailsOutput = shape({
+  sku: str,
+  name: str,
+  url: str,
+  price: num.describe("Price to pay in RUB: Ozon Card price when shown, else the regular one"),
+  priceRegular: num,
+  oldPrice: num,
+  available: bool,
+  delivery: list(
+    obj({
+      type: z.enum(["courier", "pickup", "locker"]),
+      title: str,
+      date: str.describe('Earliest delivery date as Ozon shows it: "сегодня", "завтра", "12 июня"'),
+      cost: num.describe("Delivery cost in RUB, 0 when free"),
+    })
+  )
+    .nullable()
+    .describe("null when the page had no options yet: Ozon often loads them after the page"),
+  region,
+  rating: num,
+  reviews: num,
+  seller: obj({ name: str, rating: num, url: str }).nullable(),
+  variants: list(
+    obj({
+      name: str,
+      options: list(obj({ value: str, sku: str, url: str, price: num, available: bool, selected: z.boolean() })),
+    })
+  ),
+  images: list(z.string()),
+  characteristics: z.record(z.string()),
+  characteristicGroups: list(characteristicGroup),
+  description: obj({ text: z.string(), images: list(z.string()) }),
+  recommendations: list(
+    obj({
+      title: str,
+      kind: z.enum(["similar", "boughtTogether", "collection", "other"]),
+      items: list(listingItem),
+    })
+  ),
+  ...common,
+});
+
+const offer = obj({
+  sku: str,
+  price: num.describe("Price to pay in RUB: Ozon Card price when shown, else the regular one"),
+  priceRegular: num,
+  oldPrice: num,
+  delivery: str.describe('Delivery promise as Ozon shows it, e.g. "12 июня"'),
+  available: bool,
+  seller: obj({ name: str, rating: num, url: str }).nullable(),
+  url: str,
+  current: z.boolean().describe("The offer shown on the product page itself"),
+});
+
+export const offersOutput = shape({
+  sku: str,
+  name: str,
+  region,
+  sellers: z.number().describe("Sellers offering this product, the product page's own included"),
+  cheapest: offer.nullable(),
+  count: z.number(),
+  offers: list(offer),
+  ...common,
+});
+
+const cellValue = z.union([z.string(), z.number(), z.boolean()]).nullable();
+
+export const compareOutput = shape({
+  products: list(obj({ sku: str, name: str, url: str })),
+  differences: list(obj({ name: z.string(), values: list(cellValue) })),
+  same: z.record(cellValue),
+  errors: list(obj({ product: z.string(), error: z.string() })),
+  ...common,
+});
+
+const review = obj({
+  id: str,
+  author: str,
+  score: num,
+  comment: z.string(),
+  pros: z.string(),
+  cons: z.string(),
+  date: str,
+  useful: num,
+  purchased: bool,
+  hasPhotos: z.boolean(),
+  photos: list(z.string()),
+  videos: list(obj({ url: z.string(), preview: str, duration: num.describe("Seconds") })),
+  variant: obj({ sku: z.string(), name: str, attributes: z.record(z.string()) }).nullable(),
+  sellerReply: obj({ author: str, text: z.string(), date: str }).nullable(),
+  comments: num,
+});
+
+export const reviewsOutput = shape({
+  rating: num,
+  totalReviews: num,
+  distribution: z.record(z.number()).nullable().describe("Star (1–5) -> share or count of reviews"),
+  count: z.number(),
+  reviews: list(review),
+  nextCursor: str,
+  ...common,
+});
+
+const answer = obj({
+  author: str,
+  authorType: z.enum(["seller", "customer"]),
+  text: z.string(),
+  date: str,
+  useful: num,
+});
+
+export const questionsOutput = shape({
+  totalQuestions: num,
+  count: z.number(),
+  questions: list(
+    obj({ id: str, author: str, text: z.string(), date: str, answerCount: num, answers: list(answer) })
+  ),
+  nextCursor: str,
+  ...common,
+});
+
+const pricePoint = obj({ price: num, ts: z.string() });
+
+const skuHistory = obj({
+  sku: z.string(),
+  name: str,
+  observations: z.number(),
+  firstSeen: z.string(),
+  lastSeen: z.string(),
+  current: obj({ price: num, oldPrice: num, available: bool, ts: z.string() }),
+  min: pricePoint,
+  max: pricePoint,
+  low30: num,
+  claimedDiscount: num,
+  realDiscount: num,
+  fakeMarkdown: z.boolean(),
+  points: list(obj({ ts: z.string(), price: num, oldPrice: num, available: bool })),
+});
+
+export const priceHistoryOutput = shape({ days: z.number(), count: z.number(), items: list(skuHistory), ...common });
+
+export const watchlistOutput = shape({
+  action: z.string(),
+  count: z.number(),
+  items: list(skuHistory),
+  errors: list(obj({ sku: z.string(), error: z.string() })),
+  skipped: z.number().describe("Refresh: SKUs left out past the per-call limit"),
+  ...common,
+});
+
+export const debugOutput = shape({
+  browser: obj({
+    launched: z.boolean(),
+    ready: z.boolean(),
+    replay: z.boolean(),
+    contexts: list(
+      obj({ proxy: z.string(), region: str, area: str, ready: z.boolean(), quarantinedSec: z.number() })
+    ),
+    queue: obj({ active: z.number(), queued: z.number(), relaunching: z.boolean() }),
+  }),
+  metrics: obj({
+    uptimeSec: z.number(),
+    launches: z.number(),
+    relaunches: z.number(),
+    rechallenges: z.number(),
+    requests: z.number(),
+    cacheHits: z.number(),
+    errors: z.record(z.number()).describe('Failed live requests by kind: "HTTP 403", "captcha", "browser closed", …'),
+    latencyMs: obj({ samples: z.number(), avg: num, p50: num, p95: num, max: num, last: num }),
+    contexts: list(
+      obj({ proxy: z.string(), ready: z.boolean(), challengeAgeSec: num, challengeMs: num, rejects: z.number() })
+    ),
+    cache: obj({ entries: z.number(), inflight: z.number() }),
+  }),
+  layoutDrift: list(
+    obj({ warning: z.string(), count: z.number(), firstSeen: z.string(), lastSeen: z.string(), path: z.string() })
+  ),
+  page: obj({
+    path: z.string(),
+    pageType: str,
+    region: str,
+    widgetCount: z.number(),
+    widgets: list(obj({ name: z.string(), key: z.string(), bytes: z.number() })),
+    keys: list(z.string()).describe("Top-level keys of the response"),
+    layoutWarnings,
+  }),
+  ...common,
+});
@@ -0,0 +1,92 @@
+// Command-line mode (src/cli.js): the real entry point run as a subprocess in replay mode, plus
+// the CSV writer on its own. No browser, no network.
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { spawnSync } from "child_process";
+import { fixtureFile } from "../src/browser.js";
+import { toCsv, rowsOf, isCliCall } from "../src/cli.js";
+
+const sample = (f) => JSON.parse(readFileSync(new URL(`../samples/${f}`, import.meta.url), "utf8"));
+let failed = 0;
+const check = (cond, msg) => {
+  console.error(`${cond ? "  ok " : " FAIL"}  ${msg}`);
+  if (!cond) failed++;
+};
+
+const dir = mkdtempSync(join(tmpdir(), "ozon-cli-"));
+const replayDir = join(dir, "fixtures");
+const seed = (path, data) => writeFileSync(fixtureFile(replayDir, path), JSON.stringify({ path, status: 200, data }));
+const PAGE2 = "?layout_container=pdpPage2column&layout_page_index=2";
+
+mkdirSync(replayDir);
+seed("/search/?text=iphone%2015&from_global=true&sorting=price", sample("search.json"));
+// the grid's second page: empty, so a filtered search ends there
+const paginator = sample("search.json").widgetStates["infiniteVirtualPaginator-3618992-default-1"];
+seed(JSON.parse(paginator).nextPage, { widgetStates: {} });
+for (const sku of ["1185261285", "6001"]) {
+  seed(`/product/${sku}/`, sample("pdp.json"));
+  seed(`/product/${sku}/${PAGE2}`, sample("pdp_page2.json"));
+}
+seed("/product/1185261285/reviews/?sort=published_at_desc", sample("reviews.json"));
+
+const SERVER = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const env = { ...process.env, OZON_REPLAY_DIR: replayDir };
+const run = (args, input = "") => {
+  const r = spawnSync(process.execPath, [SERVER, ...args], { env, input, encoding: "utf8", timeout: 60000 });
+  return { code: r.status, out: r.stdout, err: r.stderr };
+};
+
+console.error("── csv ──");
+const csv = toCsv([
+  { sku: "1", name: 'Чехол "Soft", синий', seller: { name: "A", rating: 4.9 }, photos: ["a", "b"] },
+  { sku: "2", name: "Плёнка", seller: null, extra: [{ x: 1 }] },
+]);
+console.error("   ", JSON.stringify(csv));
+const [header, first, second] = csv.trim().split("\n");
+check(header === "sku,name,seller.name,seller.rating,photos,seller,extra", "columns flattened, first-seen order");
+check(first === '1,"Чехол ""Soft"", синий",A,4.9,a; b,,', "quoting, plain lists joined");
+check(second === '2,Плёнка,,,,,"[{""x"":1}]"', "missing cells empty, object lists as JSON");
+check(rowsOf({ queries: ["a"] }, "queries")[0].value === "a" && rowsOf({ sku: "1" }, null)[0].sku === "1", "rows");
+check(isCliCall(["search", "x"]) && !isCliCall(["--http", "3000"]) && !isCliCall([]), "flags alone start the server");
+
+console.error("── commands ──");
+const s = run(["search", "iphone 15", "--sort", "price", "--limit", "3"]);
+const sj = JSON.parse(s.out || "null");
+check(s.code === 0 && sj?.count === 3 && sj.items.every((i) => i.sku && i.price), "search as JSON");
+const so = run(["search", "iphone 15", "--sort", "price", "--sold-by", "ozon", "--cross-border", "false", "--format", "jsonl"]);
+const soRows = so.out.trim().split("\n");
+check(so.code === 0 && soRows.length === 1 && JSON.parse(soRows[0]).sellerType === "ozon", "post-filters");
+const sc = run(["search", "iphone 15", "--sort", "price", "--limit", "3", "--format", "csv"]);
+const lines = sc.out.trim().split("\n");
+check(sc.code === 0 && lines.length === 4 && lines[0].startsWith("sku,name,price"), "search as CSV, a row per item");
+const d = run(["details", "1185261285", "--fields", "sku,price", "--format", "jsonl"]);
+check(d.code === 0 && d.out === '{"sku":"1185261285","price":53022}\n', "details with fields as JSONL");
+const r = run(["reviews", "1185261285", "--limit", "4", "--scores", "5", "--format", "jsonl"]);
+const rows = r.out.trim().split("\n").map((l) => JSON.parse(l));
+check(r.code === 0 && rows.length === 4 && rows.every((x) => x.score === 5), "reviews filtered, a line per review");
+
+console.error("── batch ──");
+const stdin = "1185261285\n\n# comment\n999\n6001\n";
+const b = run(["details", "--batch", "--fields", "sku,name", "--format", "jsonl"], stdin);
+const got = b.out.trim().split("\n").map((l) => JSON.parse(l));
+console.error("   ", got.map((x) => x.input).join(", "), "| exit", b.code);
+check(got.map((x) => x.input).join() === "1185261285,6001" && got[1].sku === "1185261285", "rows tagged with input");
+check(b.code === 1 && /999: replay: no recorded response/.test(b.err), "a failed input is reported, the rest go on");
+const bj = run(["details", "--batch", "--fields", "sku"], "1185261285 \n6001\n");
+check(bj.code === 0 && JSON.parse(bj.out).length === 2, "batch as one JSON array");
+
+console.error("── usage ──");
+const u = run(["serach", "iphone"]);
+check(u.code === 2 && /unknown command "serach"/.test(u.err) && /Usage:/.test(u.err) && !u.out, "unknown command");
+const bad = run(["search", "iphone", "--limit", "many"]);
+check(bad.code === 2 && /--limit must be a number/.test(bad.err), "bad option value");
+const cb = run(["search", "iphone", "--cross-border", "yes"]);
+check(cb.code === 2 && /--cross-border must be one of true, false/.test(cb.err), "true/false option");
+const help = run(["help"]);
+check(help.code === 0 && help.out.startsWith("Usage:"), "help on stdout");
+
+rmSync(dir, { recursive: true, force: true });
+console.error(failed ? `\n${failed} FAILED` : "\nALL PASSED");
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,328 @@
+// End-to-end: the real MCP server over stdio in replay mode (no browser, no network).
+// Fixtures are seeded from samples/ into a temp dir under the composer paths the tools request.
+import { mkdtempSync, mkdirSync, rmSync, readFileSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { spawn } from "child_process";
+import { fixtureFile } from "../src/browser.js";
+
+const sample = (f) => JSON.parse(readFileSync(new URL(`../samples/${f}`, import.meta.url), "utf8"));
+let failed = 0;
+const check = (cond, msg) => {
+  console.error(`${cond ? "  ok " : " FAIL"}  ${msg}`);
+  if (!cond) failed++;
+};
+
+const dir = mkdtempSync(join(tmpdir(), "ozon-e2e-"));
+const replayDir = join(dir, "fixtures");
+const seed = (path, fixture) => writeFileSync(fixtureFile(replayDir, path), JSON.stringify({ path, ...fixture }));
+const PDP = "/product/1185261285/";
+const PAGE2 = "?layout_container=pdpPage2column&layout_page_index=2";
+
+mkdirSync(replayDir);
+seed("/search/?text=iphone%2015&from_global=true", { status: 200, data: sample("search.json") });
+seed("/category/smartfony-15502/", { status: 200, data: sample("search.json") });
+seed("/seller/tehnopark-123456/", { status: 200, data: sample("search.json") });
+// the grid's second page: empty, so listings longer than one sample page end there
+const paginator = sample("search.json").widgetStates["infiniteVirtualPaginator-3618992-default-1"];
+seed(JSON.parse(paginator).nextPage, { status: 200, data: { widgetStates: {} } });
+seed(PDP, { status: 200, data: sample("pdp.json") });
+seed(PDP + PAGE2, { status: 200, data: sample("pdp_page2.json") });
+seed(`${PDP}reviews/?sort=published_at_desc`, { status: 200, data: sample("reviews.json") });
+seed(`${PDP}questions/`, { status: 200, data: sample("pdp.json") });
+// a questions page of four (no sample has a question list): the list shape is injected
+const qList = { questions: ["q1", "q2", "q3", "q4"].map((uuid) => ({ uuid, text: `Вопрос ${uuid}` })) };
+const qPage = { widgetStates: { "webListQuestions-1": JSON.stringify({ ...qList, paging: { total: 4 } }) } };
+seed("/product/6003/questions/", { status: 200, data: qPage });
+// expired session: first answer 403, the retry after the (no-op) relaunch succeeds
+seed("/product/403/", { responses: [{ status: 403 }, { status: 200, data: sample("pdp.json") }] });
+seed("/product/403/" + PAGE2, { status: 200, data: sample("pdp_page2.json") });
+// rate limited, then a server error, then fine: backoff retries both
+seed("/product/429/", { responses: [{ status: 429 }, { status: 503 }, { status: 200, data: sample("pdp.json") }] });
+seed("/product/429/" + PAGE2, { status: 200, data: sample("pdp_page2.json") });
+// search bar suggestions (plain API, not a composer page)
+seed("/api/composer-api.bx/_action/searchSuggestions?text=%D0%B0%D0%B9%D1%84%D0%BD", {
+  status: 200,
+  data: {
+    fixedText: "айфон",
+    items: [
+      { text: "айфон 15", link: "/search/?text=%D0%B0%D0%B9%D1%84%D0%BE%D0%BD+15" },
+      { text: "Смартфоны", link: "/category/smartfony-15502/" },
+    ],
+  },
+});
+// two other sellers, one cheaper than the product page's own offer; the modal lists that one too
+const sellerList = {
+  totalCount: 3,
+  sellers: [
+    { sku: "1185261285", name: "Ozon Express", price: { price: "53 022 ₽" } },
+    { sku: "7001", name: "Дешевле", price: { price: "49 990 ₽" }, deliveryTime: "завтра" },
+    { sku: "7002", name: "Дороже", price: { price: "58 000 ₽" }, deliveryTime: "12 июня" },
+  ],
+};
+seed("/modal/otherOffersFromSellers?product_id=1185261285&page_changed=true", {
+  status: 200,
+  data: { widgetStates: { "webSellerList-1-default-1": JSON.stringify(sellerList) } },
+});
+// no characteristics on page 2 and no /features/ page either
+const bareSpecs = sample("pdp_page2.json");
+for (const k of Object.keys(bareSpecs.widgetStates)) {
+  if (k.startsWith("webCharacteristics")) delete bareSpecs.widgetStates[k];
+}
+seed("/product/6005/", { status: 200, data: sample("pdp.json") });
+seed("/product/6005/" + PAGE2, { status: 200, data: bareSpecs });
+seed("/product/6005/features/", { status: 404 });
+// sold by one seller only: no modal
+const single = JSON.parse(JSON.stringify(sample("pdp.json")).replaceAll("1185261285", "6004"));
+seed("/product/6004/", { status: 200, data: single });
+seed("/modal/otherOffersFromSellers?product_id=6004&page_changed=true", { status: 404 });
+// the other-sellers modal refused even after the retries: not the same as "no other sellers"
+seed("/product/6006/", { status: 200, data: JSON.parse(JSON.stringify(single).replaceAll("6004", "6006")) });
+seed("/modal/otherOffersFromSellers?product_id=6006&page_changed=true", { status: 403 });
+// a sibling with another processor — for ozon_compare_products
+const otherChip = JSON.parse(JSON.stringify(sample("pdp_page2.json")).replaceAll("A16 Bionic", "A17 Pro"));
+seed("/product/6001/", { status: 200, data: sample("pdp.json") });
+seed("/product/6001/" + PAGE2, { status: 200, data: otherChip });
+// Ozon shipped a renamed price widget: details still answer, with a layout warning
+const renamedPrice = JSON.parse(JSON.stringify(sample("pdp.json")).replaceAll('"webPrice-', '"webPriceV2-'));
+seed("/product/7777/", { status: 200, data: renamedPrice });
+seed("/product/7777/" + PAGE2, { status: 200, data: sample("pdp_page2.json") });
+const BURST = ["5001", "5002", "5003", "5004", "5005", "5006"];
+for (const sku of BURST) {
+  seed(`/product/${sku}/`, { status: 200, data: sample("pdp.json") });
+  seed(`/product/${sku}/${PAGE2}`, { status: 200, data: sample("pdp_page2.json") });
+}
+
+const SERVER = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const env = {
+  ...process.env,
+  OZON_REPLAY_DIR: replayDir,
+  OZON_PRICE_HISTORY: join(dir, "prices.jsonl"),
+  OZON_MAX_CONCURRENCY: "2",
+  OZON_MIN_INTERVAL_MS: "100",
+};
+const transport = new StdioClientTransport({ command: process.execPath, args: [SERVER], env, stderr: "ignore" });
+let client = new Client({ name: "e2e", version: "0.0.0" });
+await client.connect(transport);
+
+let unstructured = 0; // successful calls whose structuredContent differs from the JSON text
+async function call(name, args) {
+  const res = await client.callTool({ name, arguments: args });
+  const text = res.content?.[0]?.text || "";
+  if (res.isError) return { error: text };
+  if (JSON.stringify(res.structuredContent) !== JSON.stringify(JSON.parse(text))) unstructured++;
+  return JSON.parse(text);
+}
+
+console.error("── tools/list ──");
+const { tools } = await client.listTools();
+console.error("   ", tools.map((t) => t.name).join(", "));
+check(tools.length >= 8, "all tools registered");
+check(tools.every((t) => t.outputSchema?.type === "object"), "every tool declares an outputSchema");
+
+console.error("── ozon_search ──");
+const s = await call("ozon_search", { query: "iphone 15", limit: 5, withFacets: true });
+check(s.count === 5 && s.items.every((i) => i.sku && i.price), "search items");
+check(s.nextCursor?.startsWith("/") && s.facets?.some((f) => f.key === "brand"), "search cursor + facets");
+check(s.predictedCategory?.name === "Смартфоны" && s.relatedSearches?.length > 0, "search hints");
+// 5 of the sample's 8 tiles: the cursor points inside the page, and continuing returns the other 3
+const rest = await call("ozon_search", { query: "iphone 15", limit: 12, cursor: s.nextCursor });
+console.error("   ", s.nextCursor, "->", rest.count, "items,", rest.nextCursor);
+check(s.nextCursor.endsWith("&from_global=true#5"), "cursor inside a page");
+check(rest.count === 3 && !rest.items.some((i) => s.items.some((x) => x.sku === i.sku)), "cursor resumes at tile 6");
+
+const slim = await call("ozon_search", { query: "iphone 15", limit: 5, fields: ["count", "items.sku", "items.price"] });
+const keys = Object.keys(slim).sort().join();
+check(keys === "count,items,nextCursor" && Object.keys(slim.items[0]).join() === "sku,price", "fields projection");
+
+const own = await call("ozon_search", { query: "iphone 15", limit: 10, soldBy: "ozon", originalOnly: true });
+check(own.items.map((i) => i.sku).join() === "1185261285" && own.items[0].expressDelivery === "За час", "soldBy");
+const sale = await call("ozon_search", { query: "iphone 15", limit: 10, label: "распродажа", crossBorder: false });
+check(sale.count === 5 && sale.items.every((i) => i.labels.includes("Распродажа")), "label filter, case-insensitive");
+const soon = await call("ozon_search", { query: "iphone 15", limit: 10, deliveryWithinDays: 0 });
+check(soon.items.map((i) => i.sku).join() === "1185261285", "express delivery counts as today");
+
+console.error("── ozon_suggest ──");
+const sg = await call("ozon_suggest", { query: "айфн" });
+check(sg.queries?.[0] === "айфон 15" && sg.categories?.length === 1 && sg.corrections?.[0] === "айфон", "suggestions");
+
+console.error("── ozon_category / ozon_seller ──");
+const c = await call("ozon_category", { category: "https://www.ozon.ru/category/smartfony-15502/?from=x", limit: 3 });
+check(c.name === "Смартфоны" && c.count === 3 && c.breadcrumbs.length > 0, "category from URL");
+const sl = await call("ozon_seller", { seller: "tehnopark-123456", limit: 3 });
+check(sl.id === "123456" && sl.count === 3, "seller from slug (about page missing is fine)");
+const sw = await call("ozon_seller", { seller: "https://www.ozon.ru/seller/tehnopark-123456/?miniapp=x", limit: 3 });
+const notSeller = await call("ozon_seller", { seller: "/product/1185261285/" });
+check(sw.id === "123456" && /not a seller page/.test(notSeller.error), "seller from URL; a product path is refused");
+
+console.error("── ozon_product_details ──");
+const d = await call("ozon_product_details", { product: "https://www.ozon.ru/product/1185261285/?at=abc" });
+check(d.sku === "1185261285" && d.price === 53022 && d.characteristicGroups.length > 0, "details from URL");
+const noSpecs = await call("ozon_product_details", { product: "6005" });
+const specWarning = noSpecs.layoutWarnings?.includes("webCharacteristics: not on page 2 nor on the /features/ page");
+check(noSpecs.price === 53022 && !noSpecs.characteristicGroups.length && specWarning, "missing /features/ page");
+const retried = await call("ozon_product_details", { product: "403" });
+check(retried.sku === "1185261285", "HTTP 403 retried once and recovered");
+const limited = await call("ozon_product_details", { product: "429" });
+check(limited.sku === "1185261285", "HTTP 429 and 503 backed off and recovered");
+const t0 = Date.now();
+const burst = await Promise.all(BURST.map((sku) => call("ozon_product_details", { product: sku })));
+const took = Date.now() - t0;
+check(burst.every((x) => x.sku === "1185261285"), "burst of parallel details all served");
+const spaced = took >= (BURST.length * 2 - 1) * 100;
+check(spaced, `burst spaced by the min interval (${took}ms for ${BURST.length * 2} requests)`);
+const missing = await call("ozon_product_details", { product: "999" });
+check(/no recorded response for \/product\/999\//.test(missing.error || ""), "missing fixture surfaces as tool error");
+
+const inKazan = await call("ozon_product_details", { product: "1185261285", region: "Казань", fields: ["region"] });
+check(inKazan.region === "Москва", "per-call region served (replay reports the recorded area)");
+const badRegion = await call("ozon_product_details", { product: "1185261285", region: "Атлантида" });
+check(/unknown region/.test(badRegion.error || ""), "unknown region is a tool error");
+
+const withRec = await call("ozon_product_details", { product: "1185261285", withRecommendations: true });
+const kinds = withRec.recommendations?.map((x) => x.kind).join();
+check(kinds === "similar,boughtTogether,collection", "details with recommendation shelves");
+
+console.error("── ozon_product_offers ──");
+const off = await call("ozon_product_offers", { product: "1185261285" });
+console.error("   ", off.offers?.map((x) => `${x.seller?.name} ${x.price}`).join(", "));
+check(off.sellers === 3 && off.offers.map((x) => x.sku).join() === "7001,1185261285,7002", "offers, cheapest first");
+check(off.cheapest?.seller.name === "Дешевле" && off.offers[1].current === true, "cheapest + own offer marked");
+const one = await call("ozon_product_offers", { product: "6004" });
+check(one.sellers === 1 && one.offers.map((x) => x.sku).join() === "6004" && one.offers[0].current, "no modal");
+const refused = await call("ozon_product_offers", { product: "6006" });
+check(/HTTP 403/.test(refused.error), "a refused modal fails the call");
+
+console.error("── ozon_compare_products ──");
+const cmp = await call("ozon_compare_products", { products: ["1185261285", "6001", "999"] });
+const chip = cmp.differences?.find((r) => r.name === "Процессор");
+check(cmp.products?.length === 2 && chip?.values.join() === "A16 Bionic,A17 Pro", "differing spec row highlighted");
+const { same } = cmp;
+check(same.price === 53022 && same["Цвет"] === "Синий" && !("Артикул" in same), "identical rows collapsed");
+check(cmp.errors.length === 1 && cmp.errors[0].product === "999", "failed product reported, rest compared");
+
+console.error("── ozon_product_reviews / questions ──");
+const r = await call("ozon_product_reviews", { product: "1185261285", limit: 5, scores: [5] });
+check(r.count === 5 && r.reviews.every((x) => x.score === 5) && r.distribution?.[5] > 0, "reviews filtered by score");
+const r2 = await call("ozon_product_reviews", { product: "1185261285", limit: 5, scores: [5], cursor: r.nextCursor });
+const ids = new Set(r.reviews.map((x) => x.id));
+check(/\/reviews\/\?sort=published_at_desc#\d+$/.test(r.nextCursor) && r2.count === 5, "cursor inside the 30-review page");
+const r10 = await call("ozon_product_reviews", { product: "1185261285", limit: 10, scores: [5] });
+const joined = [...r.reviews, ...r2.reviews].map((x) => x.id).join();
+check(joined === r10.reviews.map((x) => x.id).join() && ids.size === 5, "continuing skips none and repeats none");
+// the whole sample page, videos included, through the outputSchema check
+const page = await call("ozon_product_reviews", { product: "1185261285", limit: 30 });
+check(page.count === 30 && page.reviews.some((x) => x.videos.length), "full reviews page matches the schema");
+const q = await call("ozon_product_questions", { product: "1185261285" });
+check(q.totalQuestions === 342, "questions count");
+const q3 = await call("ozon_product_questions", { product: "6003", limit: 3 });
+const q4 = await call("ozon_product_questions", { product: "6003", cursor: q3.nextCursor });
+console.error("   ", q3.nextCursor, "->", q4.questions.map((x) => x.id).join());
+check(q3.nextCursor === "/product/6003/questions/#3" && q4.questions.map((x) => x.id).join() === "q4", "q cursor");
+
+console.error("── price history / watchlist ──");
+const h = await call("ozon_price_history", { skus: ["1185261285"] });
+check(h.items[0].observations >= 1 && h.items[0].current.price === 53022, "details recorded a price observation");
+const w = await call("ozon_watchlist", { action: "add", skus: ["1185261285"] });
+check(w.count === 1, "watchlist add");
+const wr = await call("ozon_watchlist", { action: "refresh" });
+check(wr.errors.length === 0 && wr.items[0].observations > h.items[0].observations, "watchlist refresh records again");
+const wp = await call("ozon_watchlist", { action: "refresh", skus: ["5550001", "1185261285"] });
+const wpFailed = wp.errors.map((e) => e.sku).join() === "5550001" && wp.skipped === 0;
+check(wpFailed && wp.items[0].observations > wr.items[0].observations, "a failed refresh doesn't stop the rest");
+
+console.error("── ozon_debug ──");
+check(!("layoutWarnings" in d) && q.layoutWarnings?.join() === "webListQuestions: widget missing", "layout warnings");
+const drifted = await call("ozon_product_details", { product: "7777", fields: ["sku"] });
+check(drifted.sku && drifted.layoutWarnings?.includes("webPrice: widget missing"), "warnings survive `fields`");
+const dbg = await call("ozon_debug", {});
+const { metrics } = dbg;
+check(metrics?.requests > 0 && metrics.latencyMs.samples > 0 && metrics.cacheHits > 0, "request metrics");
+// 403: the expired session once, the refused modal on each of its 4 attempts
+check(metrics?.errors["HTTP 403"] === 5 && metrics.errors["HTTP 429"] === 1, "failed requests by kind");
+const logged = dbg.layoutDrift?.find((x) => x.warning === "webPrice: widget missing");
+check(logged?.path === "/product/7777/" && logged.count >= 1, "drift log");
+const dp = (await call("ozon_debug", { path: "https://www.ozon.ru/product/7777/" })).page;
+check(dp?.widgets.some((x) => x.name === "webPriceV2"), "widget names of any page");
+check(dp?.layoutWarnings.includes("webPrice: widget missing"), "that page's layout check");
+
+console.error("── resources / prompts ──");
+const { resourceTemplates } = await client.listResourceTemplates();
+console.error("   ", resourceTemplates.map((t) => t.uriTemplate).join(", "));
+check(resourceTemplates.length === 3, "resource templates listed");
+const read = async (uri) => JSON.parse((await client.readResource({ uri })).contents[0].text);
+check((await read("ozon://product/1185261285")).price === 53022, "product resource");
+check((await read("ozon://product/1185261285/reviews")).reviews?.length > 0, "reviews resource");
+check((await read("ozon://search/iphone%2015")).items?.length > 0, "search resource, query URL-decoded");
+let readFailed = false;
+await client.readResource({ uri: "ozon://product/999" }).catch(() => (readFailed = true));
+check(readFailed, "failed resource read is a JSON-RPC error");
+const { prompts } = await client.listPrompts();
+check(prompts.map((p) => p.name).join() === "best_value,vet_product,compare_shortlist", "prompts listed");
+const pr = await client.getPrompt({ name: "best_value", arguments: { query: "наушники", maxPrice: "5000" } });
+const prText = pr.messages[0].content.text;
+check(prText.includes("5000 ₽") && prText.includes("ozon_compare_products"), "prompt filled in");
+
+check(unstructured === 0, "structuredContent matches the JSON text of every result");
+await client.close();
+
+console.error("── Streamable HTTP ──");
+const TOKEN = "s3cret";
+const proc = spawn(process.execPath, [SERVER, "--http", "0"], {
+  env: { ...env, OZON_HTTP_TOKEN: TOKEN },
+  stdio: ["ignore", "ignore", "pipe"],
+});
+const base = await new Promise((resolve, reject) => {
+  let err = "";
+  proc.stderr.on("data", (d) => {
+    err += d;
+    const m = err.match(/listening on (http:\/\/[^/\s]+)/);
+    if (m) resolve(m[1]);
+  });
+  proc.on("exit", (code) => reject(new Error(`server exited (${code}): ${err}`)));
+});
+const health = async () => (await fetch(`${base}/health`)).json();
+const h0 = await health();
+check(h0.sessions === 0 && h0.browser.queue.active === 0, "health endpoint without auth");
+const anon = await fetch(`${base}/mcp`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: "{}",
+});
+check(anon.status === 401, "missing bearer token → 401");
+
+const connectHttp = async () => {
+  const c = new Client({ name: "e2e-http", version: "0.0.0" });
+  const t = new StreamableHTTPClientTransport(new URL(`${base}/mcp`), {
+    requestInit: { headers: { authorization: `Bearer ${TOKEN}` } },
+  });
+  await c.connect(t);
+  return { c, t };
+};
+const a = await connectHttp();
+const b = await connectHttp();
+check((await health()).sessions === 2, "two concurrent sessions");
+client = a.c;
+const [da, db] = await Promise.all([
+  call("ozon_product_details", { product: "1185261285" }),
+  b.c.callTool({ name: "ozon_search", arguments: { query: "iphone 15", limit: 3 } }),
+]);
+check(da.sku === "1185261285" && !db.isError, "both sessions served in parallel");
+await a.t.terminateSession();
+await a.c.close();
+check((await health()).sessions === 1, "DELETE ends only that session");
+client = b.c;
+const qb = await call("ozon_product_questions", { product: "1185261285" });
+check(qb.totalQuestions === 342, "other session still works");
+const exited = new Promise((resolve) => proc.once("exit", resolve));
+proc.kill("SIGTERM");
+check((await exited) === 0, "SIGTERM shuts down cleanly");
+await b.c.close().catch(() => {});
+
+rmSync(dir, { recursive: true, force: true });
+console.error(failed ? `\n${failed} FAILED` : "\nALL PASSED");
+process.exit(failed ? 1 : 0);
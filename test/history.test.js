@@ -0,0 +1,59 @@
+// Offline tests for the local price-history store (src/history.js) on a temp file.
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = mkdtempSync(join(tmpdir(), "ozon-history-"));
+process.env.OZON_PRICE_HISTORY = join(dir, "prices.jsonl");
+const { recordPrices, historyOf, summarize, getWatchlist, watchAdd, watchRemove } = await import("../src/history.js");
+
+let failed = 0;
+const check = (cond, msg) => {
+  console.error(`${cond ? "  ok " : " FAIL"}  ${msg}`);
+  if (!cond) failed++;
+};
+const daysAgo = (n) => new Date(Date.now() - n * 864e5).toISOString();
+
+console.error("── summarize ──");
+// Price sat at 50k for weeks, "old price" inflated to 90k the day the "sale" starts at 52k.
+const fake = summarize([
+  { ts: daysAgo(20), sku: "1", price: 51000, cardPrice: 50000, oldPrice: 60000 },
+  { ts: daysAgo(10), sku: "1", price: 51000, cardPrice: 50000, oldPrice: 60000 },
+  { ts: daysAgo(0), sku: "1", price: 53000, cardPrice: 52000, oldPrice: 90000 },
+]);
+console.error("   ", JSON.stringify(fake));
+check(fake.current.price === 52000 && fake.min.price === 50000 && fake.max.price === 52000, "stats use card price");
+check(fake.low30 === 50000 && fake.realDiscount === -4 && fake.claimedDiscount === 42.2, "real vs claimed discount");
+check(fake.fakeMarkdown === true, "inflated old price flagged");
+const real = summarize([
+  { ts: daysAgo(5), sku: "2", price: 1000, oldPrice: 1200 },
+  { ts: daysAgo(0), sku: "2", price: 700, oldPrice: 1200 },
+]);
+check(real.realDiscount === 30 && real.fakeMarkdown === false, "real markdown not flagged");
+const stale = summarize([
+  { ts: daysAgo(50), sku: "3", price: 10 },
+  { ts: daysAgo(0), sku: "3", price: 10 },
+]);
+check(stale.low30 === null && stale.realDiscount === null, "no 30-day low without recent points");
+
+console.error("── store ──");
+await recordPrices([
+  { sku: "1185261285", name: "iPhone", price: 53558, cardPrice: 53022, oldPrice: 119990, available: true },
+  { sku: "42", price: null, cardPrice: null }, // no price: skipped
+]);
+writeFileSync(process.env.OZON_PRICE_HISTORY, '{"torn', { flag: "a" }); // crash mid-write
+await recordPrices([{ sku: "1185261285", cardPrice: 52000, source: "listing" }]);
+const [h] = await historyOf(["1185261285"]);
+console.error("   ", JSON.stringify({ obs: h.observations, current: h.current, points: h.points.length }));
+check(h.observations === 2 && h.current.price === 52000 && h.name === "iPhone", "torn line skipped, priceless row dropped");
+check((await historyOf(["42"]))[0].observations === 0, "unknown sku has no observations");
+
+console.error("── watchlist ──");
+await Promise.all([watchAdd(["1", "2"]), watchAdd(["2", "3"])]);
+check((await getWatchlist()).map((i) => i.sku).join() === "1,2,3", "concurrent adds merged, no duplicates");
+await watchRemove(["2"]);
+check((await getWatchlist()).map((i) => i.sku).join() === "1,3", "remove");
+
+rmSync(dir, { recursive: true, force: true });
+console.error(failed ? `\n${failed} FAILED` : "\nALL PASSED");
+process.exit(failed ? 1 : 0);
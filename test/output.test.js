@@ -0,0 +1,65 @@
+// Offline tests for result shaping (src/output.js): `fields` projection and size-aware trimming.
+import { project, fit, CURSORS } from "../src/output.js";
+
+let failed = 0;
+const check = (cond, msg) => {
+  console.error(`${cond ? "  ok " : " FAIL"}  ${msg}`);
+  if (!cond) failed++;
+};
+
+console.error("── project ──");
+const listing = {
+  query: "q",
+  count: 2,
+  items: [
+    { sku: "1", name: "a", price: 10, seller: { name: "s", rating: 4.5 } },
+    { sku: "2", name: "b", price: 20, seller: null },
+  ],
+  nextCursor: "/search/?page=2",
+};
+const p = project(listing, ["count", "items.sku", "items.seller.rating", "nope.deeper"]);
+console.error("   ", JSON.stringify(p));
+check(Object.keys(p).join() === "count,items,nextCursor", "top-level fields + nextCursor kept");
+check(JSON.stringify(p.items[0]) === '{"sku":"1","seller":{"rating":4.5}}', "lists walked, nested path");
+check(p.items[1].seller === null, "null parent passes through");
+check(project(listing, ["items", "items.sku"]).items[0].name === "a", "whole parent wins over a narrower path");
+const drifted = project({ ...listing, layoutWarnings: ["webPrice: widget missing"] }, ["count"]);
+check(drifted.layoutWarnings?.length === 1, "layoutWarnings kept too");
+check(project(listing, undefined) === listing && project(listing, []) === listing, "no fields → untouched");
+
+console.error("── fit ──");
+const small = fit(listing, 60000);
+check(small.result === listing && !small.result.truncated, "small result untouched");
+check(JSON.stringify(JSON.parse(small.text)) === JSON.stringify(listing), "text is the JSON of the result");
+
+const big = {
+  description: { text: "x".repeat(5000), images: [] },
+  count: 300,
+  items: Array.from({ length: 300 }, (_, i) => ({ sku: String(i), name: "товар ".repeat(40) })),
+  images: ["u"],
+};
+const { result, text } = fit(big, 60000);
+console.error("   ", text.length, JSON.stringify(result.truncated));
+check(text.length <= 60000, "fits the limit");
+check(JSON.parse(text).items.length === result.items.length, "still valid JSON");
+const { dropped, shortened } = result.truncated;
+check(result.description.text.length === 1000 && shortened.join() === "description.text", "long text shortened");
+check(dropped.items === 300 - result.items.length && result.items.length > 100, "whole items dropped");
+const lastSku = result.items.at(-1).sku;
+check(result.count === result.items.length && lastSku === String(result.items.length - 1), "count follows, order kept");
+check(big.items.length === 300 && big.description.text.length === 5000, "input not mutated");
+
+const texts = fit({ reviews: Array.from({ length: 50 }, () => ({ comment: "y".repeat(1500) })) }, 60000).result;
+check(texts.reviews.length === 50 && texts.truncated.shortened.join() === "reviews[].comment", "array paths folded");
+
+// a paged result: the cursor moves back to the first dropped item
+const paged = { count: 300, items: big.items, nextCursor: "/search/?page=10" };
+paged[CURSORS] = { items: big.items.map((_, i) => `/search/?page=${1 + Math.floor(i / 36)}#${i % 36}`) };
+const trimmed = fit(project(paged, ["count", "items.sku", "items.name"]), 60000).result;
+const kept = trimmed.items.length;
+console.error("   ", kept, "items, next:", trimmed.nextCursor);
+check(kept < 300 && trimmed.nextCursor === paged[CURSORS].items[kept], "nextCursor at the first dropped item");
+check(!JSON.stringify(trimmed).includes("#0") && paged.nextCursor === "/search/?page=10", "cursors stay off the wire");
+
+console.error(failed ? `\n${failed} FAILED` : "\nALL PASSED");
+process.exit(failed ? 1 : 0);
@@ -1,6 +1,23 @@
 // Offline parser tests against saved composer-api samples. No browser/network.
 import { readFileSync } from "fs";
-import { parseSearch, parseDetails, parseReviews } from "../src/parse.js";
+import {
+  parseSearch,
+  parseFilters,
+  parseCategory,
+  parseSellerProfile,
+  parseDetails,
+  parseVariants,
+  parseShelves,
+  parseOffers,
+  parseDelivery,
+  deliveryDays,
+  parseArea,
+  parseSearchHints,
+  parseSuggest,
+  parseReviews,
+  parseQuestions,
+  widgetList,
+} from "../src/parse.js";
 
 const load = (f) => JSON.parse(readFileSync(new URL(`../samples/${f}`, import.meta.url), "utf8"));
 let failed = 0;
@@ -18,6 +35,21 @@ check(!!it.sku, "item has sku");
 check(typeof it.price === "number", "item price is number");
 check(it.url?.startsWith("https://") && !it.url.includes("?"), "item url clean+absolute");
 check(s.items.every((x) => x.price), "every item has a price");
+check(s.nextPage?.startsWith("/") && s.nextPage.includes("page=2"), "search has next page path");
+
+console.error("── parseFilters ──");
+const facets = parseFilters(load("search.json"));
+const brand = facets.find((f) => f.key === "brand");
+console.error("   facets:", facets.map((f) => f.key).join(","));
+check(brand?.values.some((v) => v.title === "Apple" && v.selected), "brand facet with selected Apple");
+check(facets.some((f) => f.key === "brandcertified" && f.type === "bool"), "original-only bool facet");
+check(facets.find((f) => f.key === "category")?.values.every((v) => v.value.startsWith("/category/")), "category facet values are paths");
+
+console.error("── parseCategory ──");
+const cat = parseCategory(load("search.json"));
+console.error("   ", JSON.stringify({ id: cat.id, name: cat.name, crumbs: cat.breadcrumbs.map((b) => b.name), subs: cat.subcategories.length }));
+check(cat.id === "15502" && cat.name === "Смартфоны", "category id + name");
+check(cat.breadcrumbs.at(-1)?.name === "Смартфоны" && cat.breadcrumbs.every((b) => b.url?.startsWith("https://")), "category breadcrumbs");
 
 console.error("── parseDetails ──");
 const d = parseDetails(load("pdp.json"), load("pdp_page2.json"));
@@ -28,6 +60,68 @@ check(!!d.name, "details has name");
 check(d.images.length > 0, "details has images");
 check(Object.keys(d.characteristics).length > 0, "details has characteristics");
 check(d.description.text.length > 0 || d.description.images.length > 0, "details has description (text or images)");
+const specRows = d.characteristicGroups.flatMap((g) => g.items);
+console.error("   groups:", d.characteristicGroups.length, "rows:", specRows.length);
+check(specRows.length > Object.keys(d.characteristics).length, "full characteristics exceed the short list");
+check(specRows.some((x) => x.name === "Беспроводные интерфейсы" && x.value.includes("NFC")), "multi-value characteristic joined");
+check(specRows.some((x) => x.name === "Встроенные датчики"), "long characteristics included");
+
+console.error("── parseSellerProfile ──");
+// No seller-page sample: a storefront is a product grid (the search sample) under the store's
+// title, and its facts come from the "about the store" modal, injected here.
+const sPage = load("search.json");
+sPage.pageInfo = { url: "/seller/tehno-market-123456/?miniapp=seller_123456" };
+sPage.seo = { title: "Техно-Маркет - купить товары магазина на OZON" };
+const about = { widgetStates: {} };
+about.widgetStates["sellerTransparency-1-default-1"] = JSON.stringify({
+  cells: [
+    { title: { text: "ООО «Технопарк»" } },
+    { title: { text: "Рейтинг магазина" }, subtitle: { text: "4,8" } },
+    { title: { text: "Заказов" }, subtitle: { text: "12 345" } },
+    { title: { text: "На Ozon" }, subtitle: { text: "4 года" } },
+    { title: { text: "Будьте осторожны: много жалоб на подделки" } },
+  ],
+});
+const sp = parseSellerProfile(sPage, about);
+console.error("   ", JSON.stringify(sp));
+check(sp.id === "123456" && sp.name === "Техно-Маркет", "seller id + hyphenated name from the title");
+check(sp.url === "https://www.ozon.ru/seller/tehno-market-123456/" && !sp.layoutWarnings.length, "storefront url");
+check(sp.legalName === "ООО «Технопарк»" && sp.rating === 4.8 && sp.orders === 12345, "seller legal name, rating, orders");
+check(sp.onOzon === "4 года" && sp.warnings.length === 1, "seller time on Ozon + warnings");
+
+console.error("── parseVariants ──");
+check(Array.isArray(d.variants), "details has variants list");
+// The saved PDP has no variant selector; inject one in webAspects' shape.
+const vPage = load("pdp.json");
+vPage.widgetStates["webAspects-1-default-1"] = JSON.stringify({
+  aspects: [
+    {
+      title: "Встроенная память: 128 ГБ",
+      variants: [
+        {
+          sku: 1185261285,
+          link: "/product/iphone-15-128-1185261285/?at=x",
+          active: true,
+          availability: "inStock",
+          data: { searchableText: "128 ГБ", price: "53 022 ₽" },
+        },
+        {
+          sku: 1185261622,
+          link: "/product/iphone-15-256-1185261622/?at=y",
+          active: false,
+          availability: "outOfStock",
+          data: { searchableText: "256 ГБ", price: "63 990 ₽" },
+        },
+      ],
+    },
+  ],
+});
+const dim = parseVariants(vPage)[0];
+console.error("   ", JSON.stringify(dim));
+check(dim?.name === "Встроенная память" && dim.options.length === 2, "variant dimension parsed");
+const opt = dim?.options[1];
+check(opt?.sku === "1185261622" && opt.price === 63990, "variant option sku + price");
+check(opt?.available === false && !opt.selected && !opt.url.includes("?"), "variant option stock/selected/url");
 
 console.error("── parseReviews ──");
 const r = parseReviews(load("reviews.json"), 10);
@@ -37,6 +131,211 @@ const rv = r.reviews.find((x) => x.comment) || r.reviews[0];
 console.error("   sample:", JSON.stringify({ author: rv.author, score: rv.score, comment: rv.comment?.slice(0, 50), date: rv.date, purchased: rv.purchased }));
 check(r.reviews.some((x) => typeof x.score === "number"), "reviews have scores");
 check(r.reviews.some((x) => x.comment || x.pros || x.cons), "reviews have text");
+console.error("   distribution:", JSON.stringify(r.distribution), "next:", r.nextPage);
+check(r.distribution?.[5] > 0 && r.distribution?.[1] >= 0, "reviews have 1–5 star distribution");
+check(/\/reviews\/\?page=2&page_key=/.test(r.nextPage || ""), "reviews have next page path");
+const all = parseReviews(load("reviews.json"), 30).reviews;
+check(all.some((x) => x.photos.length && x.photos.every((u) => u.startsWith("https://"))), "reviews have photo URLs");
+check(all.some((x) => x.videos.some((v) => v.url.startsWith("https://") && v.preview)), "reviews have video URLs + previews");
+const durations = all.flatMap((x) => x.videos.map((v) => v.duration));
+check(durations.join() === "27,75", `video durations "00:27", "01:15" in seconds: ${durations}`);
+const rvv = all.find((x) => x.variant?.attributes["Встроенная память"]);
+console.error("   variant:", JSON.stringify(rvv?.variant?.attributes));
+check(/^\d+$/.test(rvv?.variant?.sku || ""), "reviews carry the purchased variant");
+check(all.every((x) => x.sellerReply === null), "no seller replies inlined in the sample");
+
+// Seller replies arrive inside comments.list — inject one into a copy of the sample.
+const withReply = load("reviews.json");
+const lrKey = Object.keys(withReply.widgetStates).find((k) => k.startsWith("webListReviews-"));
+const lr = JSON.parse(withReply.widgetStates[lrKey]);
+lr.reviews[0].comments = {
+  totalCount: 1,
+  list: [{ author: { officialUser: { name: "Магазин Apple" } }, text: "Спасибо за отзыв!", publishedAt: 1779100000 }],
+};
+withReply.widgetStates[lrKey] = JSON.stringify(lr);
+const reply = parseReviews(withReply, 1).reviews[0].sellerReply;
+check(reply?.author === "Магазин Apple" && reply.text && /^\d{4}-\d{2}-\d{2}$/.test(reply.date), "seller reply parsed");
+
+console.error("── parseQuestions ──");
+// No questions-page sample yet: the PDP carries the count; the list shape is injected.
+check(parseQuestions(load("pdp.json")).totalQuestions === 342, "question count from webQuestionCount");
+const qPage = load("reviews.json");
+qPage.widgetStates["webListQuestions-1-default-1"] = JSON.stringify({
+  questions: [
+    {
+      uuid: "q1",
+      author: { firstName: "Ирина" },
+      text: "Подойдет ли чехол от iPhone 14?",
+      publishedAt: 1779000000,
+      answers: {
+        totalCount: 2,
+        list: [
+          { author: { officialUser: { name: "Apple" } }, text: "Нет, камера крупнее.", publishedAt: 1779050000 },
+          { author: { firstName: "Олег" }, text: "Не подошел.", publishedAt: 1779060000 },
+        ],
+      },
+    },
+  ],
+  paging: { total: 1, nextButton: "" },
+  requestedPath: "/product/x-1/questions/",
+});
+const q = parseQuestions(qPage, 10).questions[0];
+check(q?.text && q.author === "Ирина" && q.answerCount === 2, "question parsed");
+check(q?.answers.map((a) => a.authorType).join() === "seller,customer", "answer author types");
+
+console.error("── parseShelves ──");
+const shelves = parseShelves(load("pdp.json"), load("pdp_page2.json"));
+console.error("   ", shelves.map((x) => `${x.title} (${x.kind}, ${x.items.length})`).join("; "));
+check(shelves.map((x) => x.kind).join() === "similar,boughtTogether,collection", "shelves found and classified");
+const rec = shelves[0].items[0];
+check(rec.sku === "1681720398" && rec.price === 47307 && rec.oldPrice === 67412, "shelf tile price via state[]");
+check(rec.name?.startsWith("Apple Смартфон") && rec.rating === 5 && rec.reviews === 3244, "textAtom name, labelList rating");
+check(rec.image?.startsWith("https://") && !rec.url.includes("?"), "shelf tile image + clean url");
+check(shelves[1].items[0].brand === "Apple", "brand from labelList, badges skipped");
+check(shelves[2].items.every((x) => x.sku && x.price), "seller collection tiles");
+
+console.error("── parseOffers ──");
+// No other-sellers sample yet: the webSellerList shape is injected.
+const oPage = { widgetStates: {} };
+oPage.widgetStates["webSellerList-1-default-1"] = JSON.stringify({
+  sellers: [
+    {
+      sku: "2001",
+      productLink: "/product/iphone-15-2001/?at=x",
+      name: "Техно",
+      link: "/seller/tehno-1/",
+      rating: "4,8",
+      price: { price: "55 000 ₽", cardPrice: "54 100 ₽", originalPrice: "60 000 ₽" },
+      deliveryTime: { text: "<b>завтра</b>" },
+    },
+    { sku: "2002", name: "Гаджеты", price: { price: { price: "51 990 ₽" } }, deliveryTime: "12 июня" },
+    { sku: "2003", name: "Без цены" },
+  ],
+  totalCount: 3,
+});
+const o = parseOffers(oPage);
+check(o.offers.map((x) => x.sku).join() === "2002,2001" && o.total === 3, "offers with a price, cheapest first");
+const o1 = o.offers[1];
+check(o1.price === 54100 && o1.priceRegular === 55000 && o1.oldPrice === 60000, "offer card/regular/old price");
+check(o1.delivery === "завтра" && o1.seller.rating === 4.8 && o1.seller.url.endsWith("/seller/tehno-1/"), "offer seller");
+check(parseOffers(load("pdp.json")).offers.length === 0, "no seller list → no offers");
+
+console.error("── parseDelivery ──");
+// The sample's webDelivery is empty (it loads after the page); the widget is injected.
+check(parseArea(load("pdp.json")) === "Москва", "area the page was served for");
+check(parseDelivery(load("pdp.json")).length === 0, "empty delivery widget → no options");
+const lazy = parseDetails(load("pdp.json"), load("pdp_page2.json"));
+check(lazy.delivery === null && !lazy.layoutWarnings.length, "options loaded after the page → null, not drift");
+const dPage = { widgetStates: {} };
+dPage.widgetStates["webDelivery-1-default-1"] = JSON.stringify({
+  title: "Доставка в Казань",
+  options: [
+    { title: { text: "Курьером Ozon" }, subtitle: "<b>завтра</b>, бесплатно", icon: "ic_m_courier" },
+    { title: "Пункт выдачи Ozon", date: { text: "сегодня" }, price: { text: "бесплатно" } },
+    { title: "Постамат Ozon", date: "12–14 июня", price: "49 ₽" },
+    { title: "Курьером до двери", subtitle: "15 июня", price: "199 ₽" },
+  ],
+});
+const del = parseDelivery(dPage);
+console.error("   ", JSON.stringify(del));
+check(del.map((o) => o.type).join() === "courier,pickup,locker", "one option per way, first listed kept");
+check(del[0].date === "завтра" && del[0].cost === 0 && del[0].title === "Курьером Ozon", "courier date + free");
+check(del[2].date === "12–14 июня" && del[2].cost === 49, "locker date range + cost");
+const filled = load("pdp.json");
+const deliveryKey = Object.keys(filled.widgetStates).find((k) => k.startsWith("webDelivery"));
+filled.widgetStates[deliveryKey] = dPage.widgetStates["webDelivery-1-default-1"];
+check(parseDetails(filled).delivery?.length === 3, "a filled widget → the details' options");
+filled.widgetStates[deliveryKey] = JSON.stringify({ title: "Доставка", blocks: [{ text: "Узнать сроки" }] });
+const unread = parseDetails(filled);
+const unreadWarning = unread.layoutWarnings.join() === "webDelivery: no delivery options";
+check(unread.delivery === null && unreadWarning, "unread options");
+
+console.error("── parseSearchHints / parseSuggest ──");
+const hints = parseSearchHints(load("search.json"));
+const tag = hints.relatedSearches[0];
+check(hints.relatedSearches.length > 3 && tag.text && tag.category?.startsWith("/category/"), "related searches");
+check(hints.predictedCategory?.name === "Смартфоны" && hints.didYouMean === null, "predicted category, no correction");
+// No corrected-query sample: Ozon's results header is injected.
+const typo = { widgetStates: { ...load("search.json").widgetStates } };
+typo.widgetStates["fulltextResultsHeader-1-default-1"] = JSON.stringify({
+  title: { text: "Показаны результаты по запросу <b>«айфон 15»</b>" },
+  subtitle: { text: "Искать «афйон 15»", link: "/search/?text=афйон+15" },
+});
+check(parseSearchHints(typo).didYouMean === "айфон 15", "did you mean from the results header");
+// No suggestion-API sample either: lists of title + link entries, classified by the link.
+const sug = parseSuggest({
+  items: [
+    { type: "query", text: "<b>айф</b>он 15", link: "/search/?text=%D0%B0%D0%B9%D1%84%D0%BE%D0%BD+15" },
+    { type: "query", text: "айфон 15 про", action: { link: "/search/?from_global=true&text=айфон+15+про" } },
+    { type: "category", title: "Смартфоны", link: "/category/smartfony-15502/?text=айфон" },
+    { type: "brand", title: "Apple", link: "/brand/apple-26303000/" },
+    { type: "sku", title: "iPhone 15 128 ГБ", link: "/product/iphone-15-1185261285/?at=x" },
+  ],
+  fixedText: "айфон",
+});
+check(sug.queries.join() === "айфон 15,айфон 15 про", "query completions from search links");
+check(sug.categories[0].path === "/category/smartfony-15502/" && sug.brands[0].name === "Apple", "category + brand");
+check(sug.products[0].sku === "1185261285" && sug.corrections.join() === "айфон", "product + spelling fix");
+
+console.error("── tile labels / delivery / seller ──");
+const tiles = Object.fromEntries(parseSearch(load("search.json"), 50).items.map((x) => [x.sku, x]));
+const ip = tiles["1185261285"];
+console.error("   ", JSON.stringify(ip, ["sku", "labels", "original", "delivery", "expressDelivery", "sellerType"]));
+check(ip.labels.join() === "Оригинал,Осталась 1 шт" && ip.original, "labels from list + image badges, no brand");
+check(ip.delivery === "10 июня" && ip.expressDelivery === "За час", "delivery promise + express");
+check(ip.sellerType === "ozon" && tiles["1681720585"].sellerType === "marketplace", "sold by Ozon vs marketplace");
+check(tiles["1681720585"].premiumSeller && !ip.premiumSeller, "premium seller icon");
+check(tiles["3969933755"].sellerType === null, "unrated tile without a seller icon: seller unknown");
+// a changed layout that drops both markers must not turn every tile into a marketplace one
+const bare = JSON.parse(JSON.stringify(load("search.json")).replaceAll("ic_s_star", "ic_s_rate"));
+const bareTiles = parseSearch(bare, 50).items.filter((x) => !x.premiumSeller);
+check(bareTiles.length > 0 && bareTiles.every((x) => x.sellerType !== "marketplace"), "no markers → no marketplace");
+check(!tiles["4057773664"].original && tiles["4057773664"].labels.includes("Уценённый"), "not original");
+check(Object.values(tiles).every((x) => x.crossBorder === false), "no cross-border tiles in the sample");
+// No Ozon Global sample: a badge text is swapped in.
+const gPage = JSON.parse(JSON.stringify(load("search.json")).replace("Осталась 1 шт", "Ozon Global"));
+check(parseSearch(gPage, 50).items.find((x) => x.sku === "1185261285").crossBorder, "cross-border from a label");
+check(Object.values(tiles).every((x) => x.fresh === false && x.ozonPremium === false), "no Fresh / Premium tiles");
+const fPage = JSON.parse(JSON.stringify(load("search.json")).replace("Осталась 1 шт", "Ozon Fresh"));
+check(parseSearch(fPage, 50).items.find((x) => x.sku === "1185261285").fresh, "Ozon Fresh from a label");
+const pPage = JSON.parse(JSON.stringify(load("search.json")).replace("Осталась 1 шт", "Premium"));
+const pTile = parseSearch(pPage, 50).items.find((x) => x.sku === "1185261285");
+check(pTile.ozonPremium && !pTile.premiumSeller, "Ozon Premium marker, apart from the seller's status");
+const shelfTiles = parseShelves(load("pdp.json"), load("pdp_page2.json"))[1].items;
+check(shelfTiles[1].delivery === "Завтра" && shelfTiles[1].sellerType === "ozon", "shelf tile delivery + seller");
+const june1 = new Date(2024, 5, 1);
+const days = ["За час", "сегодня", "Завтра", "послезавтра", "10 июня", "12–14 июня", "5 января", "скоро"];
+console.error("   ", days.map((t) => `${t}=${deliveryDays(t, june1)}`).join(", "));
+check(days.map((t) => deliveryDays(t, june1)).join() === "0,0,1,2,9,13,218,", "days until a delivery promise");
+
+console.error("── layout drift ──");
+const samples = [
+  parseSearch(load("search.json")),
+  parseCategory(load("search.json")),
+  parseDetails(load("pdp.json"), load("pdp_page2.json")),
+  parseReviews(load("reviews.json")),
+];
+check(samples.every((x) => x.layoutWarnings.length === 0), "no warnings on the current layout");
+/** the page with every `from-*` widget renamed to `to-*`, as when Ozon ships a new version */
+const renamed = (page, from, to) => ({
+  ...page,
+  widgetStates: Object.fromEntries(
+    Object.entries(page.widgetStates).map(([k, v]) => [k.startsWith(`${from}-`) ? to + k.slice(from.length) : k, v])
+  ),
+});
+const noPrice = parseDetails(renamed(load("pdp.json"), "webPrice", "webPriceV2"), load("pdp_page2.json"));
+console.error("   ", noPrice.layoutWarnings.join(" | "));
+check(noPrice.price === null && noPrice.layoutWarnings.includes("webPrice: widget missing"), "renamed webPrice");
+const noGrid = parseSearch(renamed(load("search.json"), "tileGridDesktop", "tileGridDesktopV2"));
+check(noGrid.layoutWarnings.join() === "tileGridDesktop: widget missing", "renamed product grid");
+const nothingFound = {
+  widgetStates: { "searchResultsError-1-default-1": JSON.stringify({ title: "Ничего не нашлось" }) },
+};
+check(parseSearch(nothingFound).layoutWarnings.length === 0, "an empty result page is not drift");
+const noList = parseQuestions(load("pdp.json")); // the question count is there, the list isn't
+check(noList.layoutWarnings.join() === "webListQuestions: widget missing", "count without its list");
+const names = widgetList(load("pdp.json"));
+check(names.some((w) => w.name === "webPrice" && w.key.startsWith("webPrice-") && w.bytes > 0), "widget list");
 
 console.error(failed ? `\n${failed} FAILED` : "\nALL PASSED");
 process.exit(failed ? 1 : 0);